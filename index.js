@@ -0,0 +1,83 @@
+import { EventEmitter } from 'events';
+import { listCollection as listLoomCollection } from './lib/collections.js';
+import { createContext } from './lib/context.js';
+import { createCookieJar } from './lib/cookies.js';
+import { downloadList, downloadVideo } from './lib/download.js';
+import { listFormats as listVideoFormats } from './lib/formats.js';
+import { resolveVideo as resolveLoomVideo } from './lib/loom.js';
+import { createRateLimiter } from './lib/ratelimit.js';
+
+export { parseCollectionUrl } from './lib/collections.js';
+export { createCookieJar } from './lib/cookies.js';
+export { JSON_EVENTS, toJsonEvent } from './lib/events.js';
+export { extractId, parseVideoUrl } from './lib/loom.js';
+export { LIST_FORMATS, parseList, readList } from './lib/list.js';
+export { parseQuality } from './lib/quality.js';
+export { DEFAULT_STRATEGIES, parseStrategies, STRATEGIES } from './lib/strategies.js';
+
+// Calls running per cookie jar. Jars shared by parallel calls, as in createDownloader,
+// are loaded before the first call and saved and cleaned up after the last one.
+const sessions = new WeakMap();
+
+// Run fn with a fresh context. options.cookies names a Netscape cookies.txt file that is
+// loaded first and updated with the cookies the server set once fn finishes.
+const withContext = async (options, fn) => {
+  const ctx = createContext(options);
+  const { cookieJar } = ctx;
+  let session = sessions.get(cookieJar);
+  if (!session) {
+    session = { calls: 0, loaded: options.cookies ? cookieJar.load(options.cookies) : Promise.resolve() };
+    sessions.set(cookieJar, session);
+  }
+  session.calls++;
+  try {
+    await session.loaded;
+    return await fn(ctx);
+  } finally {
+    session.calls--;
+    if (session.calls === 0) {
+      sessions.delete(cookieJar);
+      await cookieJar.dispose();
+      // A cookies file that could not be loaded is not overwritten
+      if (options.cookies && await session.loaded.then(() => true, () => false)) {
+        await cookieJar.save(options.cookies);
+      }
+    }
+  }
+};
+
+// Resolve a share URL or bare ID to { id, shareUrl, url }
+export const resolveVideo = (urlOrId, options = {}) => withContext(options, ctx => resolveLoomVideo(urlOrId, ctx));
+
+// List the videos of a folder or space URL, resolves to [{ id, url, title }]
+export const listCollection = (url, options = {}) => withContext(options, ctx => listLoomCollection(url, ctx));
+
+// List the formats of a video, marking the ones options.quality selects
+export const listFormats = (urlOrId, options = {}) => withContext(options, ctx => listVideoFormats(urlOrId, ctx));
+
+// Download a single video, resolves to { id, url, outputPath, method, fallbacks }, where
+// method names the strategy that succeeded
+export const download = (urlOrId, options = {}) => withContext(options, ctx => downloadVideo(urlOrId, ctx));
+
+// Download a list of URLs or readList entries, resolves to one { id, url, status, ... }
+// entry per URL
+export const downloadMany = (list, options = {}) => withContext(options, ctx => downloadList(list, ctx));
+
+// Event emitter bound to default options, emitting 'log', 'resolved', 'started',
+// 'completed', 'failed' and 'skipped' for every call made through it.
+// All calls share one cookie jar, so a session carries over between them, and one
+// rate limiter, so defaults.rateLimit holds across parallel calls.
+export const createDownloader = (defaults = {}) => {
+  const events = new EventEmitter();
+  const cookieJar = defaults.cookieJar || createCookieJar();
+  const rateLimiter = defaults.rateLimiter || createRateLimiter(defaults.rateLimit);
+  const withDefaults = (options) => ({ ...defaults, ...options, events, cookieJar, rateLimiter });
+
+  return Object.assign(events, {
+    resolveVideo: (urlOrId, options) => resolveVideo(urlOrId, withDefaults(options)),
+    listCollection: (url, options) => listCollection(url, withDefaults(options)),
+    listFormats: (urlOrId, options) => listFormats(urlOrId, withDefaults(options)),
+    download: (urlOrId, options) => download(urlOrId, withDefaults(options)),
+    downloadMany: (list, options) => downloadMany(list, withDefaults(options))
+  });
+};
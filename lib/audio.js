@@ -0,0 +1,68 @@
+import { promises as fsPromises } from 'fs';
+import { checkFfmpegAvailability, spawnTool } from './tools.js';
+
+// Audio-only downloads: fetch just the audio track where the stream allows it and
+// convert it to M4A, MP3, Opus or WAV
+
+export const AUDIO_FORMATS = {
+  m4a: { ext: '.m4a', codec: ['-c:a', 'copy', '-bsf:a', 'aac_adtstoasc'] },
+  mp3: { ext: '.mp3', codec: ['-c:a', 'libmp3lame', '-q:a', '2'] },
+  opus: { ext: '.opus', codec: ['-c:a', 'libopus', '-b:a', '96k'] },
+  wav: { ext: '.wav', codec: ['-c:a', 'pcm_s16le'] }
+};
+
+export const audioFormatFromOptions = (options) => {
+  const name = options.audioFormat || 'm4a';
+  if (!AUDIO_FORMATS[name]) {
+    throw new Error(`Unsupported audio format "${name}", use ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+  }
+  return { name, ...AUDIO_FORMATS[name] };
+};
+
+// Drop the video of a downloaded file and encode its audio with ffmpeg
+export const convertAudio = async (inputPath, outputPath, format, ctx) => {
+  const { log } = ctx;
+  log.info(`🎵 Converting audio to ${format.name}...`);
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawnTool(ctx, 'ffmpeg', [
+      '-i', inputPath,
+      '-vn', // No video
+      ...format.codec,
+      '-y', // Overwrite output file
+      outputPath
+    ]);
+
+    ffmpeg.stderr.on('data', (data) => {
+      log.debug(`ffmpeg: ${data}`);
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg audio conversion exited with code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      reject(new Error(`ffmpeg error: ${err.message}`));
+    });
+  });
+};
+
+// Turn a downloaded stream into audioPath: a lone AAC track is only renamed for m4a,
+// anything else goes through ffmpeg. The downloaded file is removed afterwards.
+export const extractAudio = async (sourcePath, audioPath, format, ctx) => {
+  if (format.name === 'm4a' && sourcePath.endsWith('.m4a')) {
+    // Already a lone AAC track in an MP4 container
+    await fsPromises.rename(sourcePath, audioPath);
+    return audioPath;
+  }
+  if (!(await checkFfmpegAvailability(ctx))) {
+    throw new Error(`Extracting ${format.name} audio needs ffmpeg, the downloaded stream was kept at ${sourcePath}`);
+  }
+  await convertAudio(sourcePath, audioPath, format, ctx);
+  await fsPromises.rm(sourcePath, { force: true });
+  return audioPath;
+};
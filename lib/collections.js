@@ -0,0 +1,120 @@
+import { queryGraphql } from './graphql.js';
+import { parseLoomUrl, shareUrl } from './loom.js';
+
+// Folders and spaces: enumerate their videos page by page, recursing into subfolders
+
+const PAGE_SIZE = 50;
+
+const VIDEO_CONNECTION = `videos(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            name
+          }
+        }
+      }
+      folders {
+        id
+        name
+      }`;
+
+const COLLECTION_QUERIES = {
+  folder: {
+    operationName: 'GetFolderContents',
+    query: `query GetFolderContents($id: ID!, $first: Int!, $after: String) {
+  collection: getFolder(id: $id) {
+    __typename
+    ... on Folder {
+      id
+      name
+      ${VIDEO_CONNECTION}
+    }
+  }
+}`
+  },
+  space: {
+    operationName: 'GetSpaceContents',
+    query: `query GetSpaceContents($id: ID!, $first: Int!, $after: String) {
+  collection: getSpace(id: $id) {
+    __typename
+    ... on Space {
+      id
+      name
+      ${VIDEO_CONNECTION}
+    }
+  }
+}`
+  }
+};
+
+// Folder URLs of the library (/looms/folders/<id>) and of shared folders (/share/folder/<id>)
+const FOLDER_PATHS = ['looms/folders', 'share/folder'];
+
+// Recognize folder and space URLs, resolving to { type, id } or null for anything else.
+// Space paths carry a readable slug before the ID, as in /spaces/Engineering-0123abcd.
+export const parseCollectionUrl = (url) => {
+  const parsed = parseLoomUrl(url);
+  if (!parsed) {
+    return null;
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  if (segments.length === 3 && FOLDER_PATHS.includes(segments.slice(0, 2).join('/'))) {
+    return { type: 'folder', id: segments[2] };
+  }
+  if (segments[0] === 'spaces' && segments[1]) {
+    return { type: 'space', id: segments[1].split('-').pop() };
+  }
+  return null;
+};
+
+const fetchCollectionPage = async (collection, after, ctx) => {
+  const { operationName, query } = COLLECTION_QUERIES[collection.type];
+  const data = await queryGraphql(operationName, query, { id: collection.id, first: PAGE_SIZE, after }, ctx);
+  const page = data.collection;
+  if (!page || !page.videos) {
+    throw new Error(`The ${collection.type} ${collection.id} does not exist or is not accessible`);
+  }
+  return page;
+};
+
+const listCollectionVideos = async (collection, ctx, visited) => {
+  const { log } = ctx;
+  visited.add(`${collection.type}:${collection.id}`);
+
+  const videos = [];
+  let subfolders = [];
+  let name = collection.id;
+  let after = null;
+  do {
+    const page = await fetchCollectionPage(collection, after, ctx);
+    name = page.name || name;
+    videos.push(...page.videos.edges.map(edge => edge.node).filter(Boolean));
+    subfolders = page.folders || subfolders;
+    after = page.videos.pageInfo.hasNextPage ? page.videos.pageInfo.endCursor : null;
+  } while (after);
+  log.info(`📁 ${collection.type === 'space' ? 'Space' : 'Folder'} "${name}": ${videos.length} videos, ${subfolders.length} subfolders`);
+
+  for (const folder of subfolders) {
+    if (!visited.has(`folder:${folder.id}`)) {
+      videos.push(...await listCollectionVideos({ type: 'folder', id: folder.id }, ctx, visited));
+    }
+  }
+  return videos;
+};
+
+// List every video of a folder or space URL, including its subfolders,
+// as { id, url, title } entries without duplicates
+export const listCollection = async (url, ctx) => {
+  const collection = parseCollectionUrl(url);
+  if (!collection) {
+    throw new Error(`Not a Loom folder or space URL: ${url}`);
+  }
+  const seen = new Set();
+  return (await listCollectionVideos(collection, ctx, new Set()))
+    .filter(video => !seen.has(video.id) && seen.add(video.id))
+    .map(video => ({ id: video.id, url: shareUrl(video.id), title: video.name || null }));
+};
@@ -0,0 +1,15 @@
+export const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+export const LOOM_ORIGIN = 'https://www.loom.com';
+
+// Headers the Loom CDN expects for media requests
+export const MEDIA_HEADERS = {
+  'User-Agent': USER_AGENT,
+  'Referer': 'https://www.loom.com/',
+  'Accept': '*/*',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Origin': 'https://www.loom.com',
+  'Sec-Fetch-Dest': 'empty',
+  'Sec-Fetch-Mode': 'cors',
+  'Sec-Fetch-Site': 'cross-site'
+};
@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+import { format } from 'util';
+import { createCookieJar } from './cookies.js';
+import { createRateLimiter } from './ratelimit.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Messages below options.logLevel (default 'info') are not emitted at all
+const createLog = (emit, logLevel = 'info') => {
+  const threshold = LOG_LEVELS.indexOf(logLevel);
+  if (threshold < 0) {
+    throw new Error(`Unknown log level "${logLevel}", use ${LOG_LEVELS.join(', ')}`);
+  }
+  const logAt = (level) => (LOG_LEVELS.indexOf(level) < threshold
+    ? () => {}
+    : (...args) => emit('log', { level, message: format(...args) }));
+  return {
+    debug: logAt('debug'),
+    info: logAt('info'),
+    warn: logAt('warn'),
+    error: logAt('error')
+  };
+};
+
+// Every library function receives a context instead of reading global CLI state.
+// Log output is emitted as 'log' events so the caller decides what gets printed.
+// All requests of a context share one cookie jar and one rate limiter (options.rateLimit
+// requests per minute).
+export const createContext = (options = {}) => {
+  const events = options.events || new EventEmitter();
+  const emit = (event, payload) => events.emit(event, payload);
+
+  return {
+    options,
+    events,
+    cookieJar: options.cookieJar || createCookieJar(),
+    rateLimiter: options.rateLimiter || createRateLimiter(options.rateLimit),
+    emit,
+    log: createLog(emit, options.logLevel)
+  };
+};
+
+// Context for a single item of a batch, sharing events and cookies but with its own options
+export const withOptions = (ctx, overrides) => ({ ...ctx, options: { ...ctx.options, ...overrides } });
+
+// Context for one video, tagging every event it emits (including logs) with the video's id and url
+export const withItem = (ctx, item) => {
+  const emit = (event, payload) => ctx.emit(event, { ...item, ...payload });
+  return { ...ctx, item, emit, log: createLog(emit, ctx.options.logLevel) };
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { promises as fsPromises } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Cookie jar shared by every request of a download run, loadable from and savable to
+// Netscape cookies.txt files (the format browser extensions and yt-dlp use)
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File\n# This file was generated by loom-dl. Edit at your own risk.\n\n';
+
+const cookieKey = (cookie) => `${cookie.domain}\t${cookie.path}\t${cookie.name}`;
+
+const isExpired = (cookie, now = Date.now() / 1000) => cookie.expires > 0 && cookie.expires <= now;
+
+const domainMatches = (cookie, hostname) => {
+  if (cookie.hostOnly) {
+    return hostname === cookie.domain;
+  }
+  return hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`);
+};
+
+const pathMatches = (cookie, pathname) => {
+  return pathname === cookie.path || pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+};
+
+export const parseNetscapeCookies = (text) => {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    }
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Invalid line in cookies file: ${line}`);
+    }
+    const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push({
+      domain: domain.replace(/^\./, '').toLowerCase(),
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: Number(expires) || 0,
+      name,
+      value: value.join('\t')
+    });
+  }
+  return cookies;
+};
+
+// Parse a Set-Cookie header received for requestUrl
+export const parseSetCookie = (header, requestUrl) => {
+  const { hostname, pathname } = new URL(requestUrl);
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    return null;
+  }
+  const cookie = {
+    domain: hostname,
+    hostOnly: true,
+    path: pathname.slice(0, pathname.lastIndexOf('/')) || '/',
+    secure: false,
+    httpOnly: false,
+    expires: 0,
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim()
+  };
+  let maxAge = null;
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // Ignore cookies for domains the response cannot set
+      if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+        return null;
+      }
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) {
+        cookie.expires = Math.floor(time / 1000);
+      }
+    } else if (key === 'max-age') {
+      maxAge = Number(value);
+    }
+  }
+  if (maxAge !== null && !Number.isNaN(maxAge)) {
+    // Max-Age wins over Expires; zero or negative deletes the cookie
+    cookie.expires = maxAge <= 0 ? 1 : Math.floor(Date.now() / 1000) + maxAge;
+  }
+  return cookie;
+};
+
+export const createCookieJar = () => {
+  const cookies = new Map();
+  let exportPath = null;
+
+  const set = (cookie) => {
+    if (isExpired(cookie)) {
+      cookies.delete(cookieKey(cookie));
+    } else {
+      cookies.set(cookieKey(cookie), cookie);
+    }
+  };
+
+  const all = () => [...cookies.values()].filter(cookie => !isExpired(cookie));
+
+  const toNetscape = () => NETSCAPE_HEADER + all().map(cookie => [
+    `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.hostOnly ? '' : '.'}${cookie.domain}`,
+    cookie.hostOnly ? 'FALSE' : 'TRUE',
+    cookie.path,
+    cookie.secure ? 'TRUE' : 'FALSE',
+    String(cookie.expires),
+    cookie.name,
+    cookie.value
+  ].join('\t')).map(line => `${line}\n`).join('');
+
+  return {
+    get size() {
+      return all().length;
+    },
+
+    load: async (filePath) => {
+      const text = await fsPromises.readFile(filePath, 'utf8');
+      parseNetscapeCookies(text).forEach(set);
+    },
+
+    save: async (filePath) => {
+      await fsPromises.writeFile(filePath, toNetscape(), { mode: 0o600 });
+    },
+
+    // Value for the Cookie request header, or null when nothing matches
+    getCookieHeader: (url) => {
+      const { hostname, pathname, protocol } = new URL(url);
+      const matching = all()
+        .filter(cookie => domainMatches(cookie, hostname) && pathMatches(cookie, pathname) && (!cookie.secure || protocol === 'https:'))
+        .sort((a, b) => b.path.length - a.path.length);
+      return matching.length > 0 ? matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+    },
+
+    // Store the Set-Cookie headers of a response to url
+    setFromResponse: (url, setCookieHeaders) => {
+      if (!setCookieHeaders) {
+        return;
+      }
+      const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+      headers.map(header => parseSetCookie(header, url)).filter(Boolean).forEach(set);
+    },
+
+    // Cookies in the format of ffmpeg's -cookies option
+    toFfmpegCookies: () => all()
+      .map(cookie => `${cookie.name}=${cookie.value}; path=${cookie.path}; domain=${cookie.hostOnly ? '' : '.'}${cookie.domain};${cookie.secure ? ' secure;' : ''}\n`)
+      .join(''),
+
+    // Write the jar to a private temporary file for tools like yt-dlp, reusing the same path
+    exportFile: async () => {
+      if (!exportPath) {
+        exportPath = path.join(os.tmpdir(), `loom-dl-cookies-${crypto.randomBytes(8).toString('hex')}.txt`);
+      }
+      await fsPromises.writeFile(exportPath, toNetscape(), { mode: 0o600 });
+      return exportPath;
+    },
+
+    // Remove the temporary export file, if any
+    dispose: async () => {
+      if (exportPath) {
+        await fsPromises.rm(exportPath, { force: true });
+        exportPath = null;
+      }
+    }
+  };
+};
@@ -0,0 +1,245 @@
+import { fetchMedia, resolveUri } from './http.js';
+import { qualityFromOptions, selectByQuality } from './quality.js';
+import { downloadTrack, withTempDir, writeTracks } from './segments.js';
+import { childElement, childElements, parseXml } from './xml.js';
+
+// Built-in DASH client: MPD parsing plus SegmentTemplate, SegmentList and SegmentBase addressing
+
+// Parse ISO 8601 durations like PT1H2M3.5S into seconds
+export const parseDuration = (value) => {
+  if (!value) {
+    return null;
+  }
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Unsupported duration: ${value}`);
+  }
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+const parseRange = (value) => {
+  if (!value) {
+    return null;
+  }
+  const [start, end] = value.split('-').map(Number);
+  return { start, end };
+};
+
+// Fill $RepresentationID$, $Number$, $Time$ and $Bandwidth$ identifiers, including %0Nd widths
+export const fillTemplate = (template, values) => {
+  return template.replace(/\$(RepresentationID|Number|Time|Bandwidth|)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+    if (!name) {
+      return '$';
+    }
+    const value = String(values[name]);
+    return width ? value.padStart(Number(width), '0') : value;
+  });
+};
+
+// Resolve nested BaseURL elements from the MPD down to the representation
+const resolveBaseUrl = (baseUrl, element) => {
+  const base = childElement(element, 'BaseURL');
+  return base ? resolveUri(base.text, baseUrl) : baseUrl;
+};
+
+// Segment information may be declared on Period, AdaptationSet or Representation,
+// with more specific levels overriding the attributes of outer ones
+const inheritSegmentInfo = (name, elements) => {
+  const found = elements.map(element => childElement(element, name)).filter(Boolean);
+  if (found.length === 0) {
+    return null;
+  }
+  const merged = { attributes: {}, children: [] };
+  for (const element of found) {
+    Object.assign(merged.attributes, element.attributes);
+    if (element.children.length > 0) {
+      merged.children = element.children;
+    }
+  }
+  return merged;
+};
+
+const templateSegments = (template, representation, baseUrl, periodDuration) => {
+  const attributes = template.attributes;
+  const timescale = Number(attributes.timescale) || 1;
+  const startNumber = attributes.startNumber !== undefined ? Number(attributes.startNumber) : 1;
+  const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+  const init = attributes.initialization ? { uri: resolveUri(fillTemplate(attributes.initialization, values), baseUrl), range: null } : null;
+  const segments = [];
+  const timeline = childElement(template, 'SegmentTimeline');
+
+  const add = (number, time, duration) => {
+    segments.push({
+      uri: resolveUri(fillTemplate(attributes.media, { ...values, Number: number, Time: time }), baseUrl),
+      range: null,
+      duration: duration / timescale
+    });
+  };
+
+  if (timeline) {
+    const entries = childElements(timeline, 'S');
+    let time = 0;
+    let number = startNumber;
+    entries.forEach((entry, index) => {
+      const duration = Number(entry.attributes.d);
+      if (entry.attributes.t !== undefined) {
+        time = Number(entry.attributes.t);
+      }
+      let repeat = Number(entry.attributes.r) || 0;
+      if (repeat < 0) {
+        // Negative repeat counts run until the next S element or the end of the period
+        const next = entries[index + 1];
+        const end = next && next.attributes.t !== undefined ? Number(next.attributes.t) : (Number(attributes.presentationTimeOffset) || 0) + periodDuration * timescale;
+        repeat = Math.ceil((end - time) / duration) - 1;
+      }
+      for (let i = 0; i <= repeat; i++) {
+        add(number++, time, duration);
+        time += duration;
+      }
+    });
+  } else if (attributes.duration) {
+    const duration = Number(attributes.duration);
+    const count = Math.ceil((periodDuration * timescale) / duration);
+    for (let i = 0; i < count; i++) {
+      add(startNumber + i, i * duration, duration);
+    }
+  } else {
+    throw new Error('SegmentTemplate has neither a SegmentTimeline nor a duration');
+  }
+
+  return { init, segments };
+};
+
+const listSegments = (list, baseUrl) => {
+  const timescale = Number(list.attributes.timescale) || 1;
+  const duration = (Number(list.attributes.duration) || 0) / timescale;
+  const initialization = childElement(list, 'Initialization');
+  const init = initialization ? {
+    uri: initialization.attributes.sourceURL ? resolveUri(initialization.attributes.sourceURL, baseUrl) : baseUrl,
+    range: parseRange(initialization.attributes.range)
+  } : null;
+  const segments = childElements(list, 'SegmentURL').map(segment => ({
+    uri: segment.attributes.media ? resolveUri(segment.attributes.media, baseUrl) : baseUrl,
+    range: parseRange(segment.attributes.mediaRange),
+    duration
+  }));
+  return { init, segments };
+};
+
+const baseSegments = (segmentBase, baseUrl, periodDuration) => {
+  const initialization = segmentBase ? childElement(segmentBase, 'Initialization') : null;
+  const initRange = initialization ? parseRange(initialization.attributes.range) : null;
+  const indexRange = segmentBase ? parseRange(segmentBase.attributes.indexRange) : null;
+  if (!initRange) {
+    // Single self-contained file
+    return { init: null, segments: [{ uri: baseUrl, range: null, duration: periodDuration }] };
+  }
+  const mediaStart = Math.max(initRange.end, indexRange ? indexRange.end : 0) + 1;
+  return {
+    init: { uri: baseUrl, range: initRange },
+    segments: [{ uri: baseUrl, range: { start: mediaStart }, duration: periodDuration }]
+  };
+};
+
+const contentTypeOf = (adaptationSet, representation) => {
+  const mimeType = representation.attributes.mimeType || adaptationSet.attributes.mimeType || '';
+  return adaptationSet.attributes.contentType || mimeType.split('/')[0] || null;
+};
+
+export const parseMpd = (xml, manifestUrl) => {
+  const mpd = parseXml(xml);
+  if (mpd.name !== 'MPD') {
+    throw new Error('Not a DASH manifest (missing MPD root element)');
+  }
+  if (mpd.attributes.type === 'dynamic') {
+    throw new Error('Live DASH streams are not supported');
+  }
+
+  const periods = childElements(mpd, 'Period');
+  if (periods.length === 0) {
+    throw new Error('DASH manifest contains no Period');
+  }
+  const period = periods[0];
+  const duration = parseDuration(period.attributes.duration) || parseDuration(mpd.attributes.mediaPresentationDuration) || 0;
+  const periodBaseUrl = resolveBaseUrl(resolveBaseUrl(manifestUrl, mpd), period);
+
+  const adaptationSets = childElements(period, 'AdaptationSet').map(adaptationSet => {
+    const setBaseUrl = resolveBaseUrl(periodBaseUrl, adaptationSet);
+    const role = childElement(adaptationSet, 'Role');
+    const representations = childElements(adaptationSet, 'Representation').map(element => {
+      const baseUrl = resolveBaseUrl(setBaseUrl, element);
+      const representation = {
+        id: element.attributes.id,
+        type: contentTypeOf(adaptationSet, element),
+        bandwidth: Number(element.attributes.bandwidth) || 0,
+        width: Number(element.attributes.width || adaptationSet.attributes.width) || null,
+        height: Number(element.attributes.height || adaptationSet.attributes.height) || null,
+        codecs: element.attributes.codecs || adaptationSet.attributes.codecs || null
+      };
+      const levels = [period, adaptationSet, element];
+      const template = inheritSegmentInfo('SegmentTemplate', levels);
+      const list = inheritSegmentInfo('SegmentList', levels);
+      const addressing = template
+        ? templateSegments(template, representation, baseUrl, duration)
+        : list
+          ? listSegments(list, baseUrl)
+          : baseSegments(inheritSegmentInfo('SegmentBase', levels), baseUrl, duration);
+      return { ...representation, ...addressing };
+    });
+    return {
+      type: representations.length > 0 ? representations[0].type : null,
+      language: adaptationSet.attributes.lang || null,
+      main: role ? role.attributes.value === 'main' : false,
+      representations
+    };
+  });
+
+  return { duration, periods: periods.length, adaptationSets };
+};
+
+// Pick the representation of the given type matching the requested quality, the highest
+// bandwidth one by default, preferring main adaptation sets
+export const selectRepresentation = (adaptationSets, type, quality = { type: 'best' }) => {
+  const sets = adaptationSets.filter(set => set.type === type && set.representations.length > 0);
+  if (sets.length === 0) {
+    return null;
+  }
+  const preferred = sets.some(set => set.main) ? sets.filter(set => set.main) : sets;
+  return selectByQuality(preferred.flatMap(set => set.representations), quality);
+};
+
+// Download a DASH manifest's best video and audio representations into a playable file.
+// Resolves to the path actually written. With options.audioOnly the video is skipped
+// whenever the manifest has a separate audio representation.
+export const downloadDash = async (url, outputPath, ctx) => {
+  const { log, options } = ctx;
+  log.info('📺 Downloading DASH stream with the built-in downloader...');
+
+  const manifest = parseMpd(await fetchMedia(url, ctx, { responseType: 'text' }), url);
+  if (manifest.periods > 1) {
+    log.warn(`⚠️  Manifest has ${manifest.periods} periods, only the first one is downloaded`);
+  }
+
+  const quality = qualityFromOptions(options);
+  // Height and bitrate limits are meant for the video, audio stays at its best unless worst is asked for
+  const audio = selectRepresentation(manifest.adaptationSets, 'audio', quality.type === 'worst' ? quality : undefined);
+  const video = options.audioOnly && audio ? null : selectRepresentation(manifest.adaptationSets, 'video', quality);
+  if (!video && !audio) {
+    throw new Error('DASH manifest contains no video or audio representations');
+  }
+  if (video) {
+    log.info(`Selected video: ${video.width}x${video.height} @ ${Math.round(video.bandwidth / 1000)} kbps (${video.codecs})`);
+  }
+  if (audio) {
+    log.info(`🔊 Selected audio: ${Math.round(audio.bandwidth / 1000)} kbps (${audio.codecs})`);
+  }
+
+  return withTempDir(outputPath, '.dash-', async (tempDir) => {
+    const videoTrack = video ? await downloadTrack('video', video, tempDir, ctx) : null;
+    const audioTrack = audio ? await downloadTrack('audio', audio, tempDir, ctx) : null;
+    const writtenPath = await writeTracks(videoTrack || audioTrack, videoTrack ? audioTrack : null, outputPath, ctx);
+    log.info(`✅ DASH download completed: ${writtenPath}`);
+    return writtenPath;
+  });
+};
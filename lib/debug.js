@@ -0,0 +1,21 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+
+// Debug artifacts (page HTML, Apollo state, tool runs) are only written when options.debugDir
+// is set, into one subdirectory per video ID. Failing to write one never fails a download.
+export const writeDebugArtifact = async (ctx, name, content, id = ctx.item ? ctx.item.id : 'general') => {
+  const { log, options } = ctx;
+  if (!options.debugDir) {
+    return null;
+  }
+  const filePath = path.join(options.debugDir, id, name);
+  try {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, content);
+    log.debug(`🐞 Saved ${name} to ${filePath}`);
+    return filePath;
+  } catch (error) {
+    log.warn(`⚠️  Could not write debug artifact ${filePath}: ${error.message}`);
+    return null;
+  }
+};
@@ -0,0 +1,158 @@
+// Terminal rendering of 'progress' events: one bar per running download plus an overall
+// bar for batches, redrawn in place on a TTY and printed as periodic lines otherwise
+
+const BAR_WIDTH = 20;
+const LINE_INTERVAL = 10000;
+
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) {
+    return '?';
+  }
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const formatEta = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes % 60)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+};
+
+const bar = (percent) => {
+  if (percent === null) {
+    return `[${'·'.repeat(BAR_WIDTH)}]`;
+  }
+  const filled = Math.round(BAR_WIDTH * Math.min(100, percent) / 100);
+  return `[${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}]`;
+};
+
+const describeTask = (task) => {
+  const parts = [task.id.slice(0, 12).padEnd(12), task.phase.padEnd(8), bar(task.percent)];
+  parts.push(task.percent !== null ? `${task.percent.toFixed(1).padStart(5)}%` : '     ');
+  if (task.bytes !== null) {
+    parts.push(task.totalBytes ? `${formatBytes(task.bytes)} / ${formatBytes(task.totalBytes)}` : formatBytes(task.bytes));
+  }
+  if (task.speed) {
+    parts.push(`${formatBytes(task.speed)}/s`);
+  }
+  if (task.eta !== null && task.percent !== 100) {
+    parts.push(`ETA ${formatEta(task.eta)}`);
+  }
+  return parts.join('  ');
+};
+
+// Listen to a downloader's events and draw them to stream (stdout by default).
+// Log output must go through print() so it does not tear the bars apart.
+export const createProgressDisplay = (events, { stream = process.stdout } = {}) => {
+  const interactive = Boolean(stream.isTTY);
+  const tasks = new Map();
+  const batch = { total: 0, finished: 0, failed: 0, skipped: 0 };
+  let drawnLines = 0;
+
+  const overallLine = () => {
+    const running = [...tasks.values()].reduce((sum, task) => sum + (task.percent || 0) / 100, 0);
+    const percent = batch.total > 0 ? Math.min(100, (batch.finished + running) / batch.total * 100) : 0;
+    const details = [`${batch.finished}/${batch.total} done`];
+    if (batch.failed > 0) {
+      details.push(`${batch.failed} failed`);
+    }
+    if (batch.skipped > 0) {
+      details.push(`${batch.skipped} skipped`);
+    }
+    return `${'Total'.padEnd(24)}${bar(percent)}  ${percent.toFixed(1).padStart(5)}%  ${details.join(', ')}`;
+  };
+
+  const fit = (line) => (stream.columns ? line.slice(0, stream.columns - 1) : line);
+
+  const erase = () => {
+    if (drawnLines > 0) {
+      stream.write(`\x1b[${drawnLines}A\x1b[J`);
+      drawnLines = 0;
+    }
+  };
+
+  const draw = () => {
+    const lines = [...tasks.values()].map(describeTask);
+    if (batch.total > 1) {
+      lines.push(overallLine());
+    }
+    if (lines.length > 0) {
+      stream.write(`${lines.map(fit).join('\n')}\n`);
+    }
+    drawnLines = lines.length;
+  };
+
+  const redraw = () => {
+    if (interactive) {
+      erase();
+      draw();
+    }
+  };
+
+  const onProgress = ({ id, phase, percent, bytes, totalBytes, speed, eta }) => {
+    if (!id) {
+      return;
+    }
+    const task = tasks.get(id) || { id, lastLine: 0 };
+    Object.assign(task, { phase, percent, bytes, totalBytes, speed, eta });
+    tasks.set(id, task);
+    if (interactive) {
+      redraw();
+    } else if (Date.now() - task.lastLine >= LINE_INTERVAL || percent === 100) {
+      task.lastLine = Date.now();
+      stream.write(`${describeTask(task)}\n`);
+    }
+  };
+
+  const onFinished = (outcome) => ({ id }) => {
+    tasks.delete(id);
+    batch.finished++;
+    if (outcome !== 'completed') {
+      batch[outcome]++;
+    }
+    if (interactive) {
+      redraw();
+    } else if (batch.total > 1) {
+      stream.write(`${overallLine()}\n`);
+    }
+  };
+
+  events.on('queued', ({ total }) => {
+    batch.total += total;
+    redraw();
+  });
+  events.on('progress', onProgress);
+  events.on('completed', onFinished('completed'));
+  events.on('failed', onFinished('failed'));
+  events.on('skipped', onFinished('skipped'));
+
+  return {
+    // Print a log line above the bars, to stderr when toStderr is set
+    print: (message, toStderr = false) => {
+      if (interactive) {
+        erase();
+      }
+      (toStderr ? process.stderr : stream).write(`${message}\n`);
+      if (interactive) {
+        draw();
+      }
+    },
+    // Leave the overall bar of a batch behind and stop drawing
+    finish: () => {
+      if (interactive) {
+        erase();
+        if (batch.total > 1) {
+          stream.write(`${fit(overallLine())}\n`);
+        }
+      }
+      tasks.clear();
+    }
+  };
+};
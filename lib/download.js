@@ -0,0 +1,284 @@
+import fs from 'fs';
+import path from 'path';
+import { audioFormatFromOptions } from './audio.js';
+import { listCollection, parseCollectionUrl } from './collections.js';
+import { withItem, withOptions } from './context.js';
+import { toListEntry } from './list.js';
+import { parseVideoUrl, resolveVideo } from './loom.js';
+import { MANIFEST_FILE, openManifest } from './manifest.js';
+import { writeInfoJson } from './metadata.js';
+import { PACKAGE_ROOT } from './paths.js';
+import { downloadWithStrategies } from './strategies.js';
+import { renderTemplate, reserveOutputPath, templateValues } from './template.js';
+import { fetchTranscript, writeSubtitles } from './transcript.js';
+import { asyncPool, backoff, delay } from './utils.js';
+
+// Batch defaults: parallel downloads, and the pause after each one plus up to jitter ms more
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_DELAY = 5000;
+const DEFAULT_JITTER = 1000;
+
+// Pause after a download of a list: options.delay plus a random share of options.jitter,
+// so parallel downloads drift apart instead of hitting the server in lockstep
+const pauseBetweenDownloads = (options) => {
+  const base = options.delay !== undefined ? options.delay : DEFAULT_DELAY;
+  const jitter = options.jitter !== undefined ? options.jitter : DEFAULT_JITTER;
+  return Math.round(base + Math.random() * jitter);
+};
+
+// Errors that another attempt would only repeat: every strategy rejected the file, none
+// of them can run here, or the video needs another password
+const FINAL_ERRORS = new Set(['VERIFY_FAILED', 'NO_STRATEGY', 'PASSWORD_REQUIRED', 'WRONG_PASSWORD']);
+const isRetryable = (error) => !FINAL_ERRORS.has(error.code);
+
+// File extension of the downloads, without the dot
+const outputExtension = (options) => (options.audioOnly ? audioFormatFromOptions(options).ext.slice(1) : 'mp4');
+
+// Render options.outputTemplate for a resolved video below baseDir
+const templatedOutputPath = (video, index, baseDir, reservedPaths, ctx) => {
+  const relativePath = renderTemplate(ctx.options.outputTemplate, templateValues(video, index, outputExtension(ctx.options)));
+  return reserveOutputPath(path.join(baseDir, relativePath), reservedPaths);
+};
+
+// Output path of a list entry: its name column (a file name or template, the extension is
+// added if missing), else options.outputTemplate, else "[prefix-index-]id.ext", placed in
+// the entry's subdirectory below outputDirectory if it has one
+const entryOutputPath = (entry, video, index, outputDirectory, reservedPaths, ctx) => {
+  const { options } = ctx;
+  const ext = outputExtension(options);
+  const values = templateValues(video, index, ext);
+  const baseDir = entry.subdir ? path.join(outputDirectory, renderTemplate(entry.subdir, values)) : outputDirectory;
+  if (entry.name) {
+    const relativePath = renderTemplate(entry.name, values);
+    const filename = path.extname(relativePath).toLowerCase() === `.${ext}` ? relativePath : `${relativePath}.${ext}`;
+    return reserveOutputPath(path.join(baseDir, filename), reservedPaths);
+  }
+  if (options.outputTemplate) {
+    return templatedOutputPath(video, index, baseDir, reservedPaths, ctx);
+  }
+  // Modify filename to include the video ID at the end
+  return path.join(baseDir, options.prefix ? `${options.prefix}-${index}-${video.id}.${ext}` : `${video.id}.${ext}`);
+};
+
+// Write the info JSON and subtitle sidecars if requested, then report the finished download.
+// The video is on disk by now, so a sidecar that cannot be written only costs a warning.
+const completeDownload = async (result, video, ctx) => {
+  const { log, options, emit } = ctx;
+  if ((options.writeInfoJson || options.subtitles) && !video) {
+    try {
+      video = await resolveVideo(result.id, ctx);
+    } catch (error) {
+      log.warn(`⚠️  Could not fetch the metadata of ${result.id} for its sidecar files: ${error.message}`);
+    }
+  }
+  if (video) {
+    result.metadata = video.metadata;
+  }
+  if (result.size === undefined) {
+    result.size = (await fs.promises.stat(result.outputPath)).size;
+  }
+  if (options.writeInfoJson && video) {
+    try {
+      const tags = result.tags && result.tags.length > 0 ? { tags: result.tags } : {};
+      result.infoJsonPath = await writeInfoJson(result.outputPath, { ...video.metadata, url: video.shareUrl, ...tags });
+      log.info(`📝 Metadata written to ${result.infoJsonPath}`);
+    } catch (error) {
+      log.warn(`⚠️  Could not write the metadata of ${result.id}: ${error.message}`);
+    }
+  }
+  if (options.subtitles && video) {
+    // A missing transcript should not fail an otherwise successful download
+    try {
+      const cues = await fetchTranscript(video, ctx);
+      result.subtitlePaths = await writeSubtitles(result.outputPath, cues, { text: options.transcriptText });
+      log.info(`📝 Subtitles written to ${result.subtitlePaths.join(', ')}`);
+    } catch (error) {
+      log.warn(`⚠️  Could not download subtitles for ${result.id}: ${error.message}`);
+    }
+  }
+  emit('completed', result);
+  return result;
+};
+
+// Download a single video given its share URL or bare ID
+export const downloadVideo = async (urlOrId, parentCtx) => {
+  if (parseCollectionUrl(urlOrId)) {
+    throw new Error(`${urlOrId} is a folder or space, download it as a list instead`);
+  }
+  const { id, url: pageUrl } = parseVideoUrl(urlOrId);
+  const ctx = withItem(parentCtx, { id, url: pageUrl });
+  const { log, options, emit } = ctx;
+  emit('started', { id, url: pageUrl });
+
+  // Output templates need the page metadata before anything is downloaded
+  let video = null;
+  let target = options.out;
+  if (options.outputTemplate) {
+    try {
+      video = await resolveVideo(id, ctx);
+      target = templatedOutputPath(video, 1, options.out || '.', new Set(), ctx);
+    } catch (error) {
+      log.error(`Failed to download video ${id}: ${error.message}`);
+      emit('failed', { id, url: pageUrl, error });
+      throw error;
+    }
+  }
+
+  try {
+    const source = { id, pageUrl, video };
+    const filename = target || `${id}.${outputExtension(options)}`;
+    log.info(`Downloading video ${id} and saving to ${filename}`);
+    const download = await downloadWithStrategies(source, filename, ctx);
+    return await completeDownload({ id, url: pageUrl, ...download }, source.video, ctx);
+  } catch (error) {
+    log.error(`Failed to download video ${id}: ${error.message}`);
+    emit('failed', { id, url: pageUrl, error });
+    throw error;
+  }
+};
+
+// Replace folder and space entries by their videos, which keep the entry's password,
+// subdirectory and tags, and give every video its ID and canonical share URL.
+// Entries that are no Loom video URL and folders that cannot be listed are added to
+// results as failed, their 'failed' events are up to the caller. Videos listed more than
+// once, in whatever URL shape, are only kept the first time.
+const expandCollections = async (entries, results, ctx) => {
+  const { log } = ctx;
+  const expanded = [];
+  const seen = new Set();
+  const fail = (id, url, error) => {
+    results.push({ id, url, status: 'failed', error });
+  };
+  const add = (entry) => {
+    let video;
+    try {
+      video = parseVideoUrl(entry.url);
+    } catch (error) {
+      log.error(`Skipping list entry: ${error.message}`);
+      fail(null, entry.url, error);
+      return;
+    }
+    if (!seen.has(video.id)) {
+      seen.add(video.id);
+      expanded.push({ ...entry, ...video });
+    }
+  };
+  for (const entry of entries) {
+    const collection = parseCollectionUrl(entry.url);
+    if (!collection) {
+      add(entry);
+      continue;
+    }
+    try {
+      const videos = await listCollection(entry.url, ctx);
+      videos.forEach(video => add({ ...entry, url: video.url, name: null }));
+    } catch (error) {
+      log.error(`Failed to list videos of ${entry.url}: ${error.message}`);
+      fail(collection.id, entry.url, error);
+    }
+  }
+  return expanded;
+};
+
+// Download every URL of a list into one directory, whose manifest records each video's
+// outcome. Videos the manifest lists as downloaded are skipped, as are failed ones unless
+// options.retryFailed is set; options.force downloads everything again.
+// Items are "<url> [password]" lines or { url, password, name, subdir, tags } entries as
+// read by readList; folder and space URLs expand into all of their videos.
+// options.concurrency videos download at a time. Once options.signal (an AbortSignal, or
+// any object with an aborted flag) is aborted, the videos not started yet are skipped with
+// reason 'cancelled'.
+export const downloadList = async (list, ctx) => {
+  const { log, options, emit } = ctx;
+  const outputDirectory = options.out ? path.resolve(options.out) : path.join(PACKAGE_ROOT, 'Downloads');
+  const manifest = await openManifest(
+    options.manifest ? path.resolve(options.manifest) : path.join(outputDirectory, MANIFEST_FILE),
+    ctx,
+    options.historyFile ? [options.historyFile] : null
+  );
+  const results = [];
+  const listed = await expandCollections(list.map(toListEntry).filter(entry => entry.url), results, ctx);
+  emit('queued', { total: results.length + listed.length });
+  // Entries that failed before any download count as queued, so they are reported after it
+  results.forEach(({ status, ...failed }) => emit('failed', failed));
+  const entries = listed.filter(({ id, url }) => {
+    const reason = manifest.skipReason(id, options);
+    if (!reason) {
+      return true;
+    }
+    if (reason === 'failed') {
+      log.info(`Skipping ${id}, it failed before (use --retry-failed to try again)`);
+    }
+    const skipped = { id, url, status: 'skipped', reason };
+    emit('skipped', skipped);
+    results.push(skipped);
+    return false;
+  });
+  const reservedPaths = new Set();
+
+  // Define the download task for each URL, including a delay after each download
+  // as long as other entries are still waiting
+  let startedTasks = 0;
+  const downloadTask = async (entry) => {
+    startedTasks++;
+    const { id, url, tags } = entry;
+    if (options.signal && options.signal.aborted) {
+      const cancelled = { id, url, status: 'skipped', reason: 'cancelled' };
+      emit('skipped', cancelled);
+      return cancelled;
+    }
+    // A password from the list overrides the one given for the whole run
+    const itemCtx = withItem(ctx, { id, url });
+    const entryCtx = entry.password ? withOptions(itemCtx, { password: entry.password }) : itemCtx;
+    emit('started', { id, url });
+    // Resolving is part of every attempt, so a passing network error is retried as well
+    let video = null;
+    let outputPath = null;
+    let download;
+    let recorded;
+    try {
+      const attemptDownload = async () => {
+        await manifest.attempt(id, url, { tags });
+        if (!video) {
+          video = await resolveVideo(id, entryCtx);
+          outputPath = entryOutputPath(entry, video, entries.indexOf(entry) + 1, outputDirectory, reservedPaths, ctx);
+          log.info(`Downloading video ${id} and saving to ${outputPath}`);
+        }
+        return downloadWithStrategies({ id, pageUrl: url, video }, outputPath, entryCtx);
+      };
+      download = await backoff(5, attemptDownload, 1000, (error, { retriesLeft, delay: wait }) => {
+        log.warn(`⚠️  Download of ${id} failed, retrying in ${wait / 1000}s (${retriesLeft} attempts left)...`);
+        entryCtx.emit('retry', { error, retriesLeft, delay: wait });
+      }, isRetryable);
+      recorded = await manifest.complete(id, url, download.outputPath, { method: download.method, fallbacks: download.fallbacks });
+    } catch (error) {
+      log.error(`Failed to download video ${id}: ${error.message}`);
+      await manifest.fail(id, url, error);
+      emit('failed', { id, url, error });
+      return { id, url, status: 'failed', error, tags };
+    }
+
+    // The manifest has the video as downloaded now, nothing after this may fail it
+    const result = await completeDownload({ id, url, status: 'downloaded', ...download, ...recorded, tags }, video, entryCtx);
+    if (startedTasks < entries.length && !(options.signal && options.signal.aborted)) {
+      const pause = pauseBetweenDownloads(options);
+      log.info(`Waiting for ${(pause / 1000).toFixed(1)} seconds before the next download...`);
+      await delay(pause);
+    }
+    return result;
+  };
+
+  // Use asyncPool to control the concurrency of download tasks
+  const concurrencyLimit = options.concurrency || DEFAULT_CONCURRENCY;
+  const downloaded = await asyncPool(concurrencyLimit, entries, downloadTask);
+
+  // Which strategies did the work, e.g. "separate-streams: 3, https: 1"
+  const strategyCounts = {};
+  downloaded.filter(result => result.method).forEach(({ method }) => {
+    strategyCounts[method] = (strategyCounts[method] || 0) + 1;
+  });
+  if (Object.keys(strategyCounts).length > 0) {
+    log.info(`📊 Strategies used: ${Object.entries(strategyCounts).map(([method, count]) => `${method}: ${count}`).join(', ')}`);
+  }
+  return results.concat(downloaded);
+};
@@ -0,0 +1,36 @@
+// Serialization of library events for machine-readable output, one JSON object per event
+
+export const JSON_EVENTS = ['queued', 'resolved', 'started', 'progress', 'retry', 'completed', 'failed', 'skipped'];
+
+// Stable error codes: the library's own (e.g. PASSWORD_REQUIRED), Node's (ECONNRESET),
+// or the HTTP status of failed requests
+export const errorCode = (error) => {
+  if (error.code && !String(error.code).startsWith('ERR_BAD_')) {
+    return error.code;
+  }
+  const status = error.response ? error.response.status : (/status code (\d{3})/.exec(error.message) || [])[1];
+  return status ? `HTTP_${status}` : 'DOWNLOAD_FAILED';
+};
+
+export const serializeError = (error) => ({
+  message: error.message,
+  code: errorCode(error),
+  ...(error.problems ? { problems: error.problems } : {}),
+  ...(error.fallbacks && error.fallbacks.length > 0 ? { fallbacks: error.fallbacks } : {})
+});
+
+// JSON-safe payload of an event, with the event name and a timestamp first
+export const toJsonEvent = (event, payload = {}) => {
+  const { error, ...rest } = payload;
+  let fields = rest;
+  if (event === 'resolved') {
+    // The resolved video's url is its stream, the page is reported as url like everywhere else
+    fields = { id: rest.id, url: rest.shareUrl, streamUrl: rest.url, metadata: rest.metadata };
+  }
+  return {
+    event,
+    time: new Date().toISOString(),
+    ...fields,
+    ...(error ? { error: serializeError(error) } : {})
+  };
+};
@@ -0,0 +1,221 @@
+import { USER_AGENT } from './constants.js';
+import { describeVariant, selectHlsStreams } from './hls.js';
+import { FFMPEG_PROGRESS_ARGS, ffmpegProgress } from './progress.js';
+import { ffmpegProxyArgs } from './proxy.js';
+import { spawnTool } from './tools.js';
+
+// Function to analyze video file for audio streams
+export const analyzeVideoFile = async (filePath, ctx) => {
+  const { log } = ctx;
+  try {
+    log.debug(`Analyzing video file: ${filePath}`);
+    
+    return new Promise((resolve, reject) => {
+      const ffprobe = spawnTool(ctx, 'ffprobe', [
+        '-v', 'quiet',
+        '-print_format', 'json',
+        '-show_streams',
+        '-show_format',
+        filePath
+      ]);
+
+      let output = '';
+      ffprobe.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      ffprobe.stderr.on('data', (data) => {
+        log.debug(`ffprobe stderr: ${data}`);
+      });
+
+      ffprobe.on('close', (code) => {
+        if (code === 0) {
+          try {
+            const analysis = JSON.parse(output);
+            log.debug('=== VIDEO ANALYSIS ===');
+            log.debug(`File: ${filePath}`);
+            log.debug(`Duration: ${analysis.format.duration} seconds`);
+            log.debug(`Size: ${(analysis.format.size / 1024 / 1024).toFixed(2)} MB`);
+            
+            const videoStreams = analysis.streams.filter(s => s.codec_type === 'video');
+            const audioStreams = analysis.streams.filter(s => s.codec_type === 'audio');
+            
+            log.debug(`Video streams found: ${videoStreams.length}`);
+            videoStreams.forEach((stream, i) => {
+              log.debug(`  Video ${i}: ${stream.codec_name} ${stream.width}x${stream.height} @ ${stream.r_frame_rate} fps`);
+            });
+            
+            log.debug(`Audio streams found: ${audioStreams.length}`);
+            if (audioStreams.length === 0) {
+              log.debug('❌ NO AUDIO STREAMS FOUND!');
+            } else {
+              audioStreams.forEach((stream, i) => {
+                log.debug(`  ✅ Audio ${i}: ${stream.codec_name} ${stream.channels} channels @ ${stream.sample_rate}Hz`);
+              });
+            }
+            log.debug('======================');
+            
+            resolve({
+              hasAudio: audioStreams.length > 0,
+              audioStreams: audioStreams.length,
+              videoStreams: videoStreams.length,
+              duration: analysis.format.duration ? Number(analysis.format.duration) : null,
+              size: analysis.format.size ? Number(analysis.format.size) : null
+            });
+          } catch (parseError) {
+            reject(new Error(`Failed to parse ffprobe output: ${parseError.message}`));
+          }
+        } else {
+          reject(new Error(`ffprobe failed with code ${code}`));
+        }
+      });
+
+      ffprobe.on('error', (err) => {
+        reject(Object.assign(new Error(`ffprobe error: ${err.message}`), { code: err.code }));
+      });
+    });
+  } catch (error) {
+    log.error(`Error analyzing video: ${error.message}`);
+    throw error;
+  }
+};
+
+// Download an HLS stream with ffmpeg using the headers the Loom CDN expects.
+// Master playlists are narrowed down to the variant (and audio rendition) matching --quality.
+export const downloadWithFfmpeg = async (url, outputPath, ctx) => {
+  const { log } = ctx;
+
+  const cookies = ctx.cookieJar.size > 0 ? ['-cookies', ctx.cookieJar.toFfmpegCookies()] : [];
+  // Input options only apply to the -i that follows them
+  const inputArgs = (uri) => [
+    '-user_agent', USER_AGENT,
+    '-headers', 'Referer: https://www.loom.com/',
+    '-headers', 'Accept: */*',
+    '-headers', 'Accept-Language: en-US,en;q=0.9',
+    '-headers', 'Origin: https://www.loom.com',
+    '-headers', 'Sec-Fetch-Dest: empty',
+    '-headers', 'Sec-Fetch-Mode: cors',
+    '-headers', 'Sec-Fetch-Site: cross-site',
+    ...cookies,
+    ...ffmpegProxyArgs(uri, ctx.options),
+    '-i', uri
+  ];
+
+  let inputs = inputArgs(url);
+  try {
+    const { variant, audio } = await selectHlsStreams(url, ctx);
+    if (variant) {
+      log.info(`Selected variant for ffmpeg: ${describeVariant(variant)}`);
+      inputs = audio
+        ? [...inputArgs(variant.uri), ...inputArgs(audio.uri), '-map', '0:v', '-map', '1:a']
+        : inputArgs(variant.uri);
+    }
+  } catch (error) {
+    log.info(`Could not read the playlist, letting ffmpeg choose: ${error.message}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawnTool(ctx, 'ffmpeg', [
+      ...inputs,
+      '-c', 'copy',
+      '-bsf:a', 'aac_adtstoasc',
+      ...FFMPEG_PROGRESS_ARGS,
+      '-y', // Overwrite output file
+      outputPath
+    ]);
+
+    // Progress arrives on stdout, stderr only carries ffmpeg's banner and messages
+    ffmpeg.stdout.on('data', ffmpegProgress(ctx, 'download'));
+
+    ffmpeg.stderr.on('data', (data) => {
+      log.debug(`ffmpeg: ${data}`);
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        log.info(`Download completed successfully`);
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      log.error(`ffmpeg error: ${err.message}`);
+      reject(err);
+    });
+  });
+};
+
+const MERGE_CODECS = {
+  // Stream copy: no quality loss and about as fast as copying the files
+  copy: ['-c', 'copy'],
+  // Re-encode with timestamps reset, for streams that do not line up when copied
+  reencode: [
+    '-filter_complex',
+    '[0:v]setpts=PTS-STARTPTS[v];[1:a]asetpts=PTS-STARTPTS,aresample=async=1:min_hard_comp=0.100000:first_pts=0[a]',
+    '-map', '[v]',         // Use filtered video with reset timestamps
+    '-map', '[a]',         // Use filtered audio with reset timestamps and resampling
+    '-c:v', 'libx264',     // Re-encode video for perfect sync
+    '-preset', 'fast',     // Fast encoding preset
+    '-crf', '18',          // High quality
+    '-c:a', 'aac',         // Re-encode audio, keeping its channel layout
+    '-b:a', '128k',        // Audio bitrate
+    '-ar', '48000',        // Audio sample rate
+    '-fflags', '+genpts+igndts',  // Generate PTS and ignore DTS
+    '-max_muxing_queue_size', '1024'  // Increase muxing queue
+  ]
+};
+
+// Combine a video-only and an audio-only file into outputPath.
+// mode is 'copy' or 'reencode'; a failed stream copy falls back to re-encoding.
+export const mergeStreams = async (videoPath, audioPath, outputPath, mode, ctx) => {
+  const { log } = ctx;
+  if (!MERGE_CODECS[mode]) {
+    throw new Error(`Unknown merge mode "${mode}", use copy or reencode`);
+  }
+  log.info(`🔗 Combining video and audio streams (${mode === 'copy' ? 'stream copy' : 're-encoding'})...`);
+
+  const streamMaps = mode === 'copy' ? ['-map', '0:v:0', '-map', '1:a:0'] : [];
+  try {
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawnTool(ctx, 'ffmpeg', [
+        '-i', videoPath,
+        '-i', audioPath,
+        ...streamMaps,
+        ...MERGE_CODECS[mode],
+        '-avoid_negative_ts', 'make_zero',
+        '-movflags', '+faststart',
+        ...FFMPEG_PROGRESS_ARGS,
+        '-y', // Overwrite output file
+        outputPath
+      ]);
+
+      // Progress arrives on stdout, stderr only carries ffmpeg's banner and messages
+      ffmpeg.stdout.on('data', ffmpegProgress(ctx, 'merge'));
+
+      ffmpeg.stderr.on('data', (data) => {
+        log.debug(`ffmpeg: ${data}`);
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}`));
+        }
+      });
+
+      ffmpeg.on('error', (err) => {
+        reject(new Error(`FFmpeg error: ${err.message}`));
+      });
+    });
+  } catch (error) {
+    if (mode !== 'copy') {
+      throw error;
+    }
+    log.warn(`⚠️  Stream copy failed (${error.message}), re-encoding instead`);
+    return mergeStreams(videoPath, audioPath, outputPath, 'reencode', ctx);
+  }
+  log.info(`✅ Successfully combined video and audio: ${outputPath}`);
+};
@@ -0,0 +1,70 @@
+import { parseMpd, selectRepresentation } from './dash.js';
+import { parsePlaylist, selectAudioRendition, selectVariant } from './hls.js';
+import { fetchMedia } from './http.js';
+import { resolveVideo } from './loom.js';
+import { qualityFromOptions } from './quality.js';
+
+// Available formats of a video, marking the ones --quality would download
+
+const hlsFormats = (playlist, quality) => {
+  if (playlist.type !== 'master') {
+    return [{ id: 'hls', type: 'video', width: null, height: null, bandwidth: null, codecs: null, selected: true }];
+  }
+  const variant = selectVariant(playlist.variants, quality);
+  const audio = selectAudioRendition(playlist.renditions, variant);
+  const videos = playlist.variants.map(current => ({
+    id: `hls-${Math.round(current.bandwidth / 1000)}`,
+    type: 'video',
+    width: current.resolution ? current.resolution.width : null,
+    height: current.resolution ? current.resolution.height : null,
+    bandwidth: current.bandwidth,
+    codecs: current.codecs,
+    selected: current === variant
+  }));
+  const audios = playlist.renditions.filter(rendition => rendition.type === 'AUDIO' && rendition.uri).map(rendition => ({
+    id: `hls-audio-${rendition.groupId}-${rendition.name}`.replace(/\s+/g, '_'),
+    type: 'audio',
+    language: rendition.language,
+    bandwidth: null,
+    codecs: null,
+    selected: rendition === audio
+  }));
+  return [...videos, ...audios];
+};
+
+const dashFormats = (manifest, quality) => {
+  const selected = new Set([
+    selectRepresentation(manifest.adaptationSets, 'video', quality),
+    selectRepresentation(manifest.adaptationSets, 'audio', quality.type === 'worst' ? quality : undefined)
+  ]);
+  return manifest.adaptationSets
+    .filter(set => set.type === 'video' || set.type === 'audio')
+    .flatMap(set => set.representations.map(representation => ({
+      id: `dash-${representation.id}`,
+      type: set.type,
+      width: representation.width,
+      height: representation.height,
+      language: set.language,
+      bandwidth: representation.bandwidth,
+      codecs: representation.codecs,
+      selected: selected.has(representation)
+    })));
+};
+
+// Resolve a video and list its formats as { id, url, streamUrl, formats: [{ id, type, width,
+// height, bandwidth, codecs, selected }] }, sorted by type and bandwidth. url is the share
+// URL, as in the other results, streamUrl the signed URL the formats come from.
+export const listFormats = async (urlOrId, ctx) => {
+  const video = await resolveVideo(urlOrId, ctx);
+  const quality = qualityFromOptions(ctx.options);
+  let formats;
+  if (video.url.includes('.m3u8')) {
+    formats = hlsFormats(parsePlaylist(await fetchMedia(video.url, ctx, { responseType: 'text' }), video.url), quality);
+  } else if (video.url.includes('.mpd')) {
+    formats = dashFormats(parseMpd(await fetchMedia(video.url, ctx, { responseType: 'text' }), video.url), quality);
+  } else {
+    formats = [{ id: 'mp4', type: 'video', width: null, height: null, bandwidth: null, codecs: null, selected: true }];
+  }
+  formats.sort((a, b) => (a.type === b.type ? (a.bandwidth || 0) - (b.bandwidth || 0) : a.type === 'video' ? -1 : 1));
+  return { id: video.id, url: video.shareUrl, streamUrl: video.url, formats };
+};
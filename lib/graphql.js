@@ -0,0 +1,30 @@
+import axios from 'axios';
+import { LOOM_ORIGIN, USER_AGENT } from './constants.js';
+import { cookieHeaders } from './http.js';
+import { axiosProxy } from './proxy.js';
+import { throttled } from './ratelimit.js';
+
+// Loom's GraphQL endpoint, as called by the share page
+
+const GRAPHQL_URL = `${LOOM_ORIGIN}/graphql`;
+
+// Run a query and resolve to its data, sending and storing the session cookies
+export const queryGraphql = async (operationName, query, variables, ctx) => {
+  const response = await throttled(ctx, () => axios.post(GRAPHQL_URL, { operationName, variables, query }, {
+    timeout: 30000,
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Content-Type': 'application/json',
+      'Referer': variables.videoId ? `${LOOM_ORIGIN}/share/${variables.videoId}` : `${LOOM_ORIGIN}/`,
+      'apollographql-client-name': 'web',
+      ...cookieHeaders(GRAPHQL_URL, ctx)
+    },
+    ...axiosProxy(GRAPHQL_URL, ctx.options)
+  }));
+  ctx.cookieJar.setFromResponse(GRAPHQL_URL, response.headers['set-cookie']);
+  const { data } = response;
+  if (data && data.errors && data.errors.length > 0 && !data.data) {
+    throw new Error(`GraphQL ${operationName} failed: ${data.errors[0].message}`);
+  }
+  return (data && data.data) || {};
+};
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { fetchMedia, resolveUri } from './http.js';
+import { qualityFromOptions, selectByQuality } from './quality.js';
+import { downloadTrack, withTempDir, writeTracks } from './segments.js';
+
+// Built-in HLS client so M3U8 streams download without ffmpeg or yt-dlp
+
+// Parse attribute lists like BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1,mp4a"
+export const parseAttributes = (input) => {
+  const attributes = {};
+  const attributeRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = attributeRegex.exec(input)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+};
+
+const parseByteRange = (value, previousEnd = 0) => {
+  const [length, offset] = value.split('@').map(Number);
+  const start = Number.isNaN(offset) ? previousEnd : offset;
+  return { start, end: start + length - 1 };
+};
+
+const parseResolution = (value) => {
+  if (!value) {
+    return null;
+  }
+  const [width, height] = value.split('x').map(Number);
+  return { width, height };
+};
+
+export const parsePlaylist = (text, baseUrl) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist (missing #EXTM3U header)');
+  }
+
+  const variants = [];
+  const renditions = [];
+  const segments = [];
+  let mediaSequence = 0;
+  let pendingVariant = null;
+  let pendingSegment = {};
+  let key = null;
+  let map = null;
+  let lastRangeEnd = 0;
+  let endList = false;
+
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      pendingVariant = {
+        bandwidth: Number(attributes.BANDWIDTH) || 0,
+        resolution: parseResolution(attributes.RESOLUTION),
+        codecs: attributes.CODECS || null,
+        audio: attributes.AUDIO || null
+      };
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      renditions.push({
+        type: attributes.TYPE,
+        groupId: attributes['GROUP-ID'],
+        name: attributes.NAME,
+        language: attributes.LANGUAGE || null,
+        default: attributes.DEFAULT === 'YES',
+        uri: attributes.URI ? resolveUri(attributes.URI, baseUrl) : null
+      });
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = Number(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      key = attributes.METHOD === 'NONE' ? null : {
+        method: attributes.METHOD,
+        uri: resolveUri(attributes.URI, baseUrl),
+        iv: attributes.IV ? Buffer.from(attributes.IV.replace(/^0x/i, '').padStart(32, '0'), 'hex') : null
+      };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      map = {
+        uri: resolveUri(attributes.URI, baseUrl),
+        range: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE) : null
+      };
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingSegment.duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pendingSegment.range = parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length), lastRangeEnd);
+      lastRangeEnd = pendingSegment.range.end + 1;
+    } else if (line === '#EXT-X-ENDLIST') {
+      endList = true;
+    } else if (!line.startsWith('#')) {
+      const uri = resolveUri(line, baseUrl);
+      if (pendingVariant) {
+        variants.push({ ...pendingVariant, uri });
+        pendingVariant = null;
+      } else {
+        segments.push({
+          uri,
+          duration: pendingSegment.duration || 0,
+          range: pendingSegment.range || null,
+          sequence: mediaSequence + segments.length,
+          key,
+          map
+        });
+        pendingSegment = {};
+      }
+    }
+  }
+
+  if (variants.length > 0) {
+    return { type: 'master', variants, renditions };
+  }
+  return { type: 'media', segments, endList };
+};
+
+// Pick the variant matching the requested quality, the highest bandwidth one by default
+export const selectVariant = (variants, quality = { type: 'best' }) => {
+  return selectByQuality(variants, quality, variant => (variant.resolution ? variant.resolution.height : null));
+};
+
+// Pick the audio rendition that belongs to a variant, preferring the default one
+export const selectAudioRendition = (renditions, variant) => {
+  if (!variant.audio) {
+    return null;
+  }
+  const group = renditions.filter(r => r.type === 'AUDIO' && r.groupId === variant.audio && r.uri);
+  return group.find(r => r.default) || group[0] || null;
+};
+
+const fetchPlaylist = async (url, ctx) => {
+  const text = await fetchMedia(url, ctx, { responseType: 'text' });
+  return parsePlaylist(text, url);
+};
+
+// Fetch a playlist and, for master playlists, pick the variant and its audio rendition
+// matching --quality. Resolves to { playlist, variant, audio }, with variant and audio
+// null for media playlists.
+export const selectHlsStreams = async (url, ctx) => {
+  const playlist = await fetchPlaylist(url, ctx);
+  if (playlist.type !== 'master') {
+    return { playlist, variant: null, audio: null };
+  }
+  const variant = selectVariant(playlist.variants, qualityFromOptions(ctx.options));
+  return { playlist, variant, audio: selectAudioRendition(playlist.renditions, variant) };
+};
+
+// Human readable variant description for logs
+export const describeVariant = (variant) => {
+  const resolution = variant.resolution ? `${variant.resolution.width}x${variant.resolution.height}` : 'unknown resolution';
+  return `${resolution} @ ${Math.round(variant.bandwidth / 1000)} kbps`;
+};
+
+const sequenceIv = (sequence) => {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+};
+
+// Decrypt AES-128 segments, fetching each key only once
+const createDecryptor = (ctx) => {
+  const keys = new Map();
+  return async (segment, data) => {
+    if (!segment.key) {
+      return data;
+    }
+    if (segment.key.method !== 'AES-128') {
+      throw new Error(`Unsupported HLS encryption method: ${segment.key.method}`);
+    }
+    if (!keys.has(segment.key.uri)) {
+      keys.set(segment.key.uri, fetchMedia(segment.key.uri, ctx));
+    }
+    const key = await keys.get(segment.key.uri);
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, segment.key.iv || sequenceIv(segment.sequence));
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  };
+};
+
+const toTrack = (playlist) => ({
+  init: playlist.segments[0].map,
+  segments: playlist.segments
+});
+
+// Download an HLS stream (master or media playlist) and write a playable file.
+// Resolves to the path actually written, which ends in .ts for MPEG-TS streams.
+// With options.audioOnly only the audio rendition is fetched when the stream has one.
+export const downloadHls = async (url, outputPath, ctx) => {
+  const { log, options } = ctx;
+  log.info('📺 Downloading HLS stream with the built-in downloader...');
+
+  const streams = await selectHlsStreams(url, ctx);
+  let playlist = streams.playlist;
+  let audioPlaylist = null;
+  if (streams.variant) {
+    let { variant } = streams;
+    const { audio } = streams;
+    if (options.audioOnly && !audio) {
+      // Audio is muxed into every variant, the smallest one carries it at the least cost
+      variant = selectVariant(playlist.variants, { type: 'worst' });
+    }
+    if (audio) {
+      log.info(`🔊 Using separate audio rendition: ${audio.name}`);
+      audioPlaylist = await fetchPlaylist(audio.uri, ctx);
+    }
+    if (options.audioOnly && audioPlaylist) {
+      playlist = null;
+    } else {
+      log.info(`Selected variant: ${describeVariant(variant)}`);
+      playlist = await fetchPlaylist(variant.uri, ctx);
+    }
+  }
+
+  const mainPlaylist = playlist || audioPlaylist;
+  if (mainPlaylist.segments.length === 0) {
+    throw new Error('HLS playlist contains no segments');
+  }
+  if (!mainPlaylist.endList) {
+    log.warn('⚠️  Playlist has no #EXT-X-ENDLIST, downloading the segments listed so far');
+  }
+
+  return withTempDir(outputPath, '.hls-', async (tempDir) => {
+    const decrypt = createDecryptor(ctx);
+    const video = playlist ? await downloadTrack('video', toTrack(playlist), tempDir, ctx, decrypt) : null;
+    const audio = audioPlaylist ? await downloadTrack('audio', toTrack(audioPlaylist), tempDir, ctx, decrypt) : null;
+    const writtenPath = await writeTracks(video || audio, video ? audio : null, outputPath, ctx);
+    log.info(`✅ HLS download completed: ${writtenPath}`);
+    return writtenPath;
+  });
+};
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import fs, { promises as fsPromises } from 'fs';
+import http from 'http';
+import https from 'https';
+import stream from 'stream';
+import { promisify } from 'util';
+import { MEDIA_HEADERS } from './constants.js';
+import { createProgress } from './progress.js';
+import { axiosProxy, proxyAgent } from './proxy.js';
+import { throttled } from './ratelimit.js';
+
+const pipeline = promisify(stream.pipeline);
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Cookie request header for url from the context's jar, if any cookie matches
+export const cookieHeaders = (url, ctx) => {
+  const cookie = ctx.cookieJar.getCookieHeader(url);
+  return cookie ? { Cookie: cookie } : {};
+};
+
+// Issue a GET request, following redirects up to maxRedirects hops.
+// Cookies are picked per hop and Set-Cookie responses go back into the jar.
+const requestFollowingRedirects = (url, headers, maxRedirects, ctx) => {
+  const { log } = ctx;
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const request = client.get(url, { agent: proxyAgent(url, ctx.options), headers: { ...headers, ...cookieHeaders(url, ctx) } }, (response) => {
+      ctx.cookieJar.setFromResponse(url, response.headers['set-cookie']);
+      if (REDIRECT_STATUSES.has(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (maxRedirects <= 0) {
+          reject(new Error(`Too many redirects, last one to ${response.headers.location}`));
+          return;
+        }
+        const location = new URL(response.headers.location, url).toString();
+        log.debug(`Redirect to: ${location}`);
+        resolve(requestFollowingRedirects(location, headers, maxRedirects - 1, ctx));
+        return;
+      }
+      if (response.statusCode === 429) {
+        // Rejected like axios does, so throttled() can wait for Retry-After
+        response.resume();
+        reject(Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: response.headers } }));
+        return;
+      }
+      resolve(response);
+    });
+    request.setTimeout(30000, () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+  });
+};
+
+const fileSize = async (filePath) => {
+  try {
+    return (await fsPromises.stat(filePath)).size;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Handle regular MP4 downloads with enhanced headers.
+// Data goes to a .part file that later attempts resume with a Range request,
+// and is renamed to outputPath only once the expected length has arrived.
+export const downloadDirect = async (url, outputPath, ctx) => {
+  const { log, options } = ctx;
+  const partPath = `${outputPath}.part`;
+  const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+  let offset = await fileSize(partPath);
+
+  const headers = offset > 0 ? { ...MEDIA_HEADERS, Range: `bytes=${offset}-` } : MEDIA_HEADERS;
+  if (offset > 0) {
+    log.info(`Resuming download at byte ${offset}`);
+  }
+
+  let response;
+  try {
+    response = await throttled(ctx, () => requestFollowingRedirects(url, headers, maxRedirects, ctx));
+  } catch (err) {
+    log.error(`HTTPS request error: ${err.message}`);
+    throw err;
+  }
+
+  log.debug(`Download response status: ${response.statusCode}`);
+  let expectedSize = null;
+  if (response.statusCode === 206) {
+    const match = /bytes (\d+)-\d+\/(\d+|\*)/.exec(response.headers['content-range'] || '');
+    if (!match || Number(match[1]) !== offset) {
+      response.resume();
+      await fsPromises.rm(partPath, { force: true });
+      throw new Error('Server returned an unexpected range, restarting from zero on the next attempt');
+    }
+    expectedSize = match[2] === '*' ? null : Number(match[2]);
+  } else if (response.statusCode === 200) {
+    if (offset > 0) {
+      log.info('Server does not support range requests, restarting from zero');
+      offset = 0;
+    }
+    expectedSize = response.headers['content-length'] ? Number(response.headers['content-length']) : null;
+  } else if (response.statusCode === 416 && offset > 0) {
+    // The part file may already hold the whole video
+    response.resume();
+    const match = /bytes \*\/(\d+)/.exec(response.headers['content-range'] || '');
+    if (!match || Number(match[1]) !== offset) {
+      await fsPromises.rm(partPath, { force: true });
+      throw new Error('Partial file does not match the remote file, restarting from zero on the next attempt');
+    }
+    expectedSize = offset;
+  } else {
+    response.resume();
+    if (response.statusCode === 403) {
+      throw new Error('Received 403 Forbidden');
+    }
+    throw new Error(`Received status code ${response.statusCode}`);
+  }
+
+  if (response.statusCode !== 416) {
+    const report = createProgress(ctx, 'download', { startBytes: offset });
+    let received = offset;
+    response.on('data', (chunk) => {
+      received += chunk.length;
+      report({ bytes: received, totalBytes: expectedSize, done: received === expectedSize });
+    });
+    await pipeline(response, fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }));
+  }
+
+  const size = await fileSize(partPath);
+  if (expectedSize !== null && size !== expectedSize) {
+    throw new Error(`Incomplete download: received ${size} of ${expectedSize} bytes`);
+  }
+  await fsPromises.rename(partPath, outputPath);
+  log.info(`Download completed successfully`);
+};
+
+// Fetch a manifest or media segment with the headers the Loom CDN expects
+export const fetchMedia = async (url, ctx, { responseType = 'arraybuffer', headers = {}, timeout = 30000 } = {}) => {
+  const response = await throttled(ctx, () => axios.get(url, {
+    responseType,
+    timeout,
+    headers: { ...MEDIA_HEADERS, ...cookieHeaders(url, ctx), ...headers },
+    ...axiosProxy(url, ctx.options)
+  }));
+  ctx.cookieJar.setFromResponse(url, response.headers['set-cookie']);
+  const { data } = response;
+  return responseType === 'arraybuffer' ? Buffer.from(data) : data;
+};
+
+// Resolve a manifest URI against its parent, keeping the signed CDN query string
+export const resolveUri = (uri, baseUrl) => {
+  const resolved = new URL(uri, baseUrl);
+  const base = new URL(baseUrl);
+  if (!resolved.search && base.search && resolved.host === base.host) {
+    resolved.search = base.search;
+  }
+  return resolved.toString();
+};
@@ -0,0 +1,245 @@
+import { randomBytes } from 'crypto';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { parseCollectionUrl } from './collections.js';
+import { serializeError } from './events.js';
+import { toListEntry } from './list.js';
+import { parseVideoUrl } from './loom.js';
+import { parseQuality } from './quality.js';
+import { parseStrategies } from './strategies.js';
+
+// Persistent job queue of the serve command. A job is a list of URLs downloaded with
+// downloadMany; jobs run one after another in the order they were submitted, and jobs
+// interrupted by a restart run again (the manifest skips what they already downloaded).
+// The queue file holds:
+// { version, jobs: [{ id, status, items, options, total, results: [{ id, url, status,
+//   outputPath, size, sha256, method, tags, reason, error, time }], error, createdAt,
+//   startedAt, finishedAt }] }
+// status: queued, running, completed, failed (some videos failed) or cancelled
+
+export const QUEUE_FILE = 'loom-dl-jobs.json';
+const QUEUE_VERSION = 1;
+
+// Options a job may set for its own videos on top of the daemon's. subdir places the
+// job's files (and manifest) in a subdirectory of the daemon's output directory.
+export const JOB_OPTIONS = [
+  'subdir', 'prefix', 'outputTemplate', 'password', 'quality', 'audioOnly', 'audioFormat',
+  'strategy', 'writeInfoJson', 'subtitles', 'transcriptText', 'retryFailed', 'force'
+];
+
+const RESULT_FIELDS = ['id', 'url', 'status', 'outputPath', 'size', 'sha256', 'method', 'tags', 'reason'];
+
+const jobError = (message, code) => Object.assign(new Error(message), { code });
+
+const validateOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw jobError('Job options must be an object', 'INVALID_JOB');
+  }
+  const unknown = Object.keys(options).filter(key => !JOB_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw jobError(`Unknown job option "${unknown[0]}", use ${JOB_OPTIONS.join(', ')}`, 'INVALID_JOB');
+  }
+  if (options.subdir !== undefined) {
+    const subdir = path.normalize(String(options.subdir));
+    if (path.isAbsolute(subdir) || subdir.split(path.sep).includes('..')) {
+      throw jobError(`Job subdir must stay inside the output directory: ${options.subdir}`, 'INVALID_JOB');
+    }
+  }
+  try {
+    parseQuality(options.quality);
+    parseStrategies(options.strategy);
+  } catch (error) {
+    throw jobError(error.message, 'INVALID_JOB');
+  }
+};
+
+const validateItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw jobError('A job needs a url or a non-empty list', 'INVALID_JOB');
+  }
+  return items.map((item) => {
+    const isObject = item && typeof item === 'object' && !Array.isArray(item);
+    if (typeof item !== 'string' && !(isObject && typeof item.url === 'string')) {
+      throw jobError('Every list item must be a URL or an object with a url', 'INVALID_JOB');
+    }
+    const entry = toListEntry(item);
+    if (!parseCollectionUrl(entry.url)) {
+      try {
+        parseVideoUrl(entry.url);
+      } catch (error) {
+        throw jobError(error.message, error.code);
+      }
+    }
+    return entry;
+  });
+};
+
+// Passwords are kept in the queue file so jobs survive restarts, but never handed out
+const redactPassword = (value) => (value ? { ...value, password: value.password ? '***' : value.password } : value);
+
+const publicJob = (job) => ({
+  ...job,
+  items: job.items.map(redactPassword),
+  options: redactPassword(job.options)
+});
+
+const toJobResult = (result) => ({
+  ...Object.fromEntries(RESULT_FIELDS.filter(field => result[field] !== undefined).map(field => [field, result[field]])),
+  ...(result.error ? { error: serializeError(result.error) } : {}),
+  time: new Date().toISOString()
+});
+
+// Load the queue at queuePath and run its jobs with downloader (a createDownloader
+// instance) into outputDirectory
+export const openJobQueue = async (queuePath, downloader, outputDirectory) => {
+  let data;
+  try {
+    data = JSON.parse(await fsPromises.readFile(queuePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read job queue ${queuePath}: ${error.message}`);
+    }
+    data = { version: QUEUE_VERSION, jobs: [] };
+  }
+  // Jobs that were running when the daemon stopped start over
+  data.jobs.filter(job => job.status === 'running').forEach((job) => {
+    Object.assign(job, { status: 'queued', total: null, results: [], startedAt: null });
+  });
+
+  // Same write queue and temporary file as the manifest
+  let writing = Promise.resolve();
+  const save = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      await fsPromises.mkdir(path.dirname(queuePath), { recursive: true });
+      const tempPath = `${queuePath}.tmp`;
+      await fsPromises.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+      await fsPromises.rename(tempPath, queuePath);
+    });
+    return writing;
+  };
+
+  const findJob = (id) => {
+    const job = data.jobs.find(candidate => candidate.id === id);
+    if (!job) {
+      throw jobError(`No job ${id}`, 'NOT_FOUND');
+    }
+    return job;
+  };
+
+  let active = null;
+
+  // Queue file writes during a job are not awaited; a failed one is retried by the next
+  const saveLater = () => {
+    save().catch(() => {});
+  };
+
+  const runJob = async (job) => {
+    // downloadMany only looks at signal.aborted, which cancel sets
+    const signal = { aborted: false };
+    active = { job, signal };
+    Object.assign(job, { status: 'running', total: null, results: [], startedAt: new Date().toISOString() });
+    await save();
+
+    // Jobs run one at a time, so every event of the downloader belongs to this job.
+    // 'failed' payloads carry no status, so it comes from the event.
+    const record = (status) => (result) => {
+      job.results.push(toJobResult({ ...result, status }));
+      saveLater();
+    };
+    const onQueued = ({ total }) => {
+      job.total = total;
+      saveLater();
+    };
+    const events = { queued: onQueued, completed: record('downloaded'), failed: record('failed'), skipped: record('skipped') };
+    Object.entries(events).forEach(([event, listener]) => downloader.on(event, listener));
+    try {
+      const { subdir, ...options } = job.options;
+      const out = subdir ? path.join(outputDirectory, subdir) : outputDirectory;
+      await downloader.downloadMany(job.items, { ...options, out, signal });
+      // A cancel that came after the last video started changes nothing
+      if (job.results.some(result => result.reason === 'cancelled')) {
+        job.status = 'cancelled';
+      } else {
+        job.status = job.results.some(result => result.status === 'failed') ? 'failed' : 'completed';
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = serializeError(error);
+    } finally {
+      Object.entries(events).forEach(([event, listener]) => downloader.off(event, listener));
+      job.finishedAt = new Date().toISOString();
+      active = null;
+      saveLater();
+    }
+  };
+
+  let running = null;
+  const runQueued = () => {
+    if (!running) {
+      running = (async () => {
+        for (let job = data.jobs.find(candidate => candidate.status === 'queued'); job; job = data.jobs.find(candidate => candidate.status === 'queued')) {
+          try {
+            await runJob(job);
+          } catch (error) {
+            // E.g. the queue file could not be written; the job must not block the queue
+            Object.assign(job, { status: 'failed', error: serializeError(error), finishedAt: new Date().toISOString() });
+            saveLater();
+          }
+        }
+      })().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  return {
+    path: queuePath,
+    // Add a job for items (URLs or list entries), resolves to the job
+    enqueue: async (items, options = {}) => {
+      validateOptions(options);
+      const job = {
+        id: randomBytes(8).toString('hex'),
+        status: 'queued',
+        items: validateItems(items),
+        options,
+        total: null,
+        results: [],
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+      };
+      data.jobs.push(job);
+      await save();
+      runQueued();
+      return publicJob(job);
+    },
+    get: (id) => publicJob(findJob(id)),
+    list: () => data.jobs.map(publicJob),
+    // Queued jobs are cancelled right away; running ones start no further videos and
+    // become cancelled once the videos already downloading have finished
+    cancel: async (id) => {
+      const job = findJob(id);
+      if (job.status === 'queued') {
+        Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        await save();
+      } else if (active && active.job === job) {
+        active.signal.aborted = true;
+      } else {
+        throw jobError(`Job ${id} has already finished`, 'JOB_FINISHED');
+      }
+      return publicJob(job);
+    },
+    // Every file the jobs downloaded, newest last
+    files: () => data.jobs.flatMap(job => job.results
+      .filter(result => result.status === 'downloaded')
+      .map(({ id, url, outputPath, size, sha256, tags, time }) => ({ job: job.id, id, url, outputPath, size, sha256, tags, time }))),
+    // Run the jobs left queued, e.g. from before a restart
+    start: () => {
+      runQueued();
+    },
+    // Wait for pending writes of the queue file
+    flush: () => writing.catch(() => {})
+  };
+};
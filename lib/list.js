@@ -0,0 +1,195 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+
+// List input: plain text with one "<url> [password]" per line, CSV with a header row, or
+// JSON. Every format yields { url, password, name, subdir, tags } entries; blank lines and
+// lines starting with # are skipped in text and CSV files.
+
+export const LIST_FORMATS = ['auto', 'text', 'csv', 'json'];
+
+// Column names accepted in CSV headers and JSON objects, mapped to entry fields
+const FIELD_ALIASES = {
+  url: 'url',
+  link: 'url',
+  password: 'password',
+  name: 'name',
+  filename: 'name',
+  output: 'name',
+  subdir: 'subdir',
+  subdirectory: 'subdir',
+  directory: 'subdir',
+  folder: 'subdir',
+  tags: 'tags'
+};
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+const isComment = (line) => line.trim().startsWith('#');
+
+// Tags come as an array or as one cell separated by commas, semicolons or pipes
+const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+};
+
+const fromFields = (fields) => {
+  const entry = { url: null, password: null, name: null, subdir: null, tags: [] };
+  for (const [key, value] of Object.entries(fields)) {
+    const field = FIELD_ALIASES[key.trim().toLowerCase()];
+    if (field === 'tags') {
+      entry.tags = parseTags(value);
+    } else if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+      entry[field] = String(value).trim();
+    }
+  }
+  return entry;
+};
+
+// Normalize a list item, either a "<url> [password]" line or an object with the fields above
+export const toListEntry = (item) => {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    return fromFields(item);
+  }
+  if (typeof item !== 'string') {
+    throw new Error(`List items must be a URL or an object with a url, got ${JSON.stringify(item)}`);
+  }
+  const line = item.trim();
+  const separator = line.search(/\s/);
+  if (separator === -1) {
+    return fromFields({ url: line });
+  }
+  return fromFields({ url: line.slice(0, separator), password: line.slice(separator).trim() });
+};
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold delimiters,
+// line breaks and "" for a quote). Lines starting with # are skipped, unless they are part
+// of a quoted cell or the # is quoted itself.
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (!quoted && (i === 0 || text[i - 1] === '\n' || text[i - 1] === '\r')) {
+      const lineEnd = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+      if (isComment(text.slice(i, lineEnd))) {
+        i = lineEnd;
+        continue;
+      }
+    }
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Spreadsheet exports use commas, semicolons (e.g. German Excel) or tabs
+const detectDelimiter = (headerLine) => CSV_DELIMITERS
+  .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length - 1 }))
+  .sort((a, b) => b.count - a.count)[0].delimiter;
+
+const firstContentLine = (text) => text.split(/\r?\n/).find(line => line.trim() && !isComment(line)) || '';
+
+const parseCsvList = (text) => {
+  const delimiter = detectDelimiter(firstContentLine(text));
+  const [header, ...rows] = parseCsv(text, delimiter).filter(row => row.some(cell => cell.trim()));
+  if (!header || !header.some(column => FIELD_ALIASES[column.trim().toLowerCase()] === 'url')) {
+    throw new Error('CSV list needs a header row with a "url" column');
+  }
+  return rows.map(row => fromFields(Object.fromEntries(header.map((column, index) => [column, row[index]]))));
+};
+
+// A JSON array of URLs or objects, or an object with such an array under "videos"
+const parseJsonList = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON list: ${error.message}`);
+  }
+  const items = Array.isArray(data) ? data : data && data.videos;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON list must be an array of URLs or objects, or an object with a "videos" array');
+  }
+  return items.map(toListEntry);
+};
+
+const parseTextList = (text) => text.split(/\r?\n/)
+  .filter(line => line.trim() && !isComment(line))
+  .map(toListEntry);
+
+// Format of a list from its name's extension, or from its content for stdin and other names
+const detectFormat = (name, text) => {
+  const ext = name === '-' ? '' : path.extname(name).toLowerCase();
+  if (ext === '.csv' || ext === '.tsv') {
+    return 'csv';
+  }
+  if (ext === '.json') {
+    return 'json';
+  }
+  const firstLine = firstContentLine(text).trim();
+  if (firstLine.startsWith('[') || firstLine.startsWith('{')) {
+    return 'json';
+  }
+  const delimiter = detectDelimiter(firstLine);
+  const columns = firstLine.split(delimiter).map(column => column.trim().replace(/^"|"$/g, '').toLowerCase());
+  // A URL line never names a column, so a header with a url column means CSV
+  return columns.some(column => FIELD_ALIASES[column] === 'url') ? 'csv' : 'text';
+};
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Parse list text into entries. format: auto (default, detected from name and content),
+// text, csv or json.
+export const parseList = (raw, format = 'auto', name = '') => {
+  if (!LIST_FORMATS.includes(format)) {
+    throw new Error(`Unknown list format "${format}", use ${LIST_FORMATS.join(', ')}`);
+  }
+  // Spreadsheet programs like to start their exports with a byte order mark
+  const text = raw.replace(/^\uFEFF/, '');
+  const parsers = { text: parseTextList, csv: parseCsvList, json: parseJsonList };
+  return parsers[format === 'auto' ? detectFormat(name, text) : format](text);
+};
+
+// Read a list file, or stdin for "-", into entries
+export const readList = async (filePath, format = 'auto') => {
+  if (!LIST_FORMATS.includes(format)) {
+    throw new Error(`Unknown list format "${format}", use ${LIST_FORMATS.join(', ')}`);
+  }
+  const raw = filePath === '-' ? await readStdin() : await fsPromises.readFile(path.resolve(filePath), 'utf8');
+  return parseList(raw, format, filePath);
+};
@@ -0,0 +1,364 @@
+import axios from 'axios';
+import { LOOM_ORIGIN, USER_AGENT } from './constants.js';
+import { writeDebugArtifact } from './debug.js';
+import { queryGraphql } from './graphql.js';
+import { cookieHeaders } from './http.js';
+import { extractMetadata } from './metadata.js';
+import { axiosProxy } from './proxy.js';
+import { throttled } from './ratelimit.js';
+import { findTranscriptSources } from './transcript.js';
+
+const PASSWORD_TYPENAME = 'VideoPasswordMissingOrIncorrect';
+
+const VIDEO_SOURCE_QUERY = `query GetVideoSource($videoId: ID!, $password: String) {
+  getVideo(id: $videoId, password: $password) {
+    __typename
+    ... on RegularUserVideo {
+      id
+      name
+      description
+      createdAt
+      owner {
+        display_name
+      }
+      m3u8: nullableRawCdnUrl(acceptableMimes: [M3U8], password: $password) {
+        url
+      }
+      dash: nullableRawCdnUrl(acceptableMimes: [DASH], password: $password) {
+        url
+      }
+    }
+    ... on VideoPasswordMissingOrIncorrect {
+      message
+    }
+    ... on PrivateVideo {
+      message
+    }
+  }
+}`;
+
+// Browser-like axios instance, cookies come from the context's jar
+const axiosInstance = axios.create({
+  headers: {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+  }
+});
+
+// Fetch the share page HTML
+const fetchVideoPage = async (id, ctx) => {
+  const { log } = ctx;
+  log.info(`Fetching video page for ID: ${id}`);
+  const videoPageUrl = `https://www.loom.com/share/${id}`;
+  log.debug(`Making request to: ${videoPageUrl}`);
+  
+  const response = await throttled(ctx, () => axiosInstance.get(videoPageUrl, {
+    timeout: 30000,
+    headers: cookieHeaders(videoPageUrl, ctx),
+    ...axiosProxy(videoPageUrl, ctx.options)
+  }));
+  
+  log.debug(`Successfully received video page (status: ${response.status})`);
+  
+  // Keep session cookies for the stream and API requests that follow
+  const cookies = response.headers['set-cookie'];
+  if (cookies) {
+    ctx.cookieJar.setFromResponse(videoPageUrl, cookies);
+    log.debug('Stored cookies for authentication');
+  }
+  
+  await writeDebugArtifact(ctx, 'page.html', response.data, id);
+  
+  return response.data;
+};
+
+// Parse window.__APOLLO_STATE__ from the page, null when missing or malformed
+const parseApolloState = (html, ctx) => {
+  const { log } = ctx;
+  const apolloStateRegex = /window\.__APOLLO_STATE__\s*=\s*({.*?});/s;
+  const apolloMatch = apolloStateRegex.exec(html);
+  if (!apolloMatch || !apolloMatch[1]) {
+    return null;
+  }
+  try {
+    const apolloState = JSON.parse(apolloMatch[1]);
+    log.debug('Found Apollo State data');
+    return apolloState;
+  } catch (parseError) {
+    log.info('Failed to parse Apollo state:', parseError.message);
+    return null;
+  }
+};
+
+// Password protected shares render a gate instead of the video data
+const isPasswordProtected = (html, apolloState) => {
+  if (apolloState && Object.values(apolloState).some(entry => entry && entry.__typename === PASSWORD_TYPENAME)) {
+    return true;
+  }
+  return html.includes(PASSWORD_TYPENAME) || /"(?:is_?)?password_?protected"\s*:\s*true/i.test(html);
+};
+
+const passwordError = (message, code) => Object.assign(new Error(message), { code });
+
+// Exchange the share password for the video's data. Session cookies set by Loom
+// stay in the context's cookie jar and carry over to the download requests.
+const unlockVideo = async (id, password, ctx) => {
+  const { log } = ctx;
+  log.info('🔑 Unlocking password protected video...');
+  const { getVideo: video } = await queryGraphql('GetVideoSource', VIDEO_SOURCE_QUERY, { videoId: id, password }, ctx);
+  if (video && video.__typename === PASSWORD_TYPENAME) {
+    throw passwordError(`Wrong password for video ${id}`, 'WRONG_PASSWORD');
+  }
+  if (!video || video.__typename !== 'RegularUserVideo') {
+    throw new Error(video && video.message ? video.message : `Video ${id} is not accessible`);
+  }
+  log.info('🔓 Password accepted');
+  return video;
+};
+
+// Store the unlocked video the way the share page's Apollo state would,
+// so URL lookup and metadata extraction work as for public shares
+const withUnlockedVideo = (apolloState, id, video) => {
+  const { m3u8, dash, ...fields } = video;
+  const key = `RegularUserVideo:${id}`;
+  return {
+    ...apolloState,
+    [key]: {
+      ...(apolloState && apolloState[key]),
+      ...fields,
+      'nullableRawCdnUrl({"acceptableMimes":["M3U8"]})': m3u8,
+      'nullableRawCdnUrl({"acceptableMimes":["DASH"]})': dash
+    }
+  };
+};
+
+// Find the stream URL in the page, falling back to the old transcoded-url API
+const findVideoUrl = async (html, apolloState, id, ctx) => {
+  const { log } = ctx;
+  
+  // Try to find the video URL in various possible locations
+  let videoUrl = null;
+  
+  // Method 1: Look for Apollo State data (most reliable)
+  if (apolloState) {
+    // Look for video data in Apollo state
+    for (const key in apolloState) {
+      if (key.startsWith('RegularUserVideo:') && apolloState[key]) {
+        const videoData = apolloState[key];
+      
+        // Try to find M3U8 URL (HLS stream)
+        if (videoData['nullableRawCdnUrl({"acceptableMimes":["M3U8"]})']) {
+          const m3u8Data = videoData['nullableRawCdnUrl({"acceptableMimes":["M3U8"]})'];
+          if (m3u8Data && m3u8Data.url) {
+            videoUrl = m3u8Data.url;
+            log.debug('Found M3U8 URL in Apollo state');
+            break;
+          }
+        }
+      
+        // Try to find DASH URL as fallback
+        if (!videoUrl && videoData['nullableRawCdnUrl({"acceptableMimes":["DASH"]})']) {
+          const dashData = videoData['nullableRawCdnUrl({"acceptableMimes":["DASH"]})'];
+          if (dashData && dashData.url) {
+            videoUrl = dashData.url;
+            log.debug('Found DASH URL in Apollo state');
+            break;
+          }
+        }
+      }
+    }
+  }
+  
+  // Method 2: Look for direct MP4 URLs
+  if (!videoUrl) {
+    const mp4Regex = /https:\/\/[^"'\s]+\.mp4[^"'\s]*/g;
+    const mp4Matches = html.match(mp4Regex);
+    if (mp4Matches && mp4Matches.length > 0) {
+      // Find the highest quality video URL (usually the longest one)
+      videoUrl = mp4Matches.reduce((longest, current) => 
+        current.length > longest.length ? current : longest
+      );
+      log.debug('Found MP4 URL');
+    }
+  }
+  
+  // Method 3: Look for video URLs in script tags
+  if (!videoUrl) {
+    const scriptRegex = /"videoUrl":\s*"([^"]+)"/g;
+    const scriptMatch = scriptRegex.exec(html);
+    if (scriptMatch && scriptMatch[1]) {
+      videoUrl = scriptMatch[1].replace(/\\u002F/g, '/');
+    }
+  }
+  
+  // Method 4: Look for download URLs
+  if (!videoUrl) {
+    const downloadRegex = /"downloadUrl":\s*"([^"]+)"/g;
+    const downloadMatch = downloadRegex.exec(html);
+    if (downloadMatch && downloadMatch[1]) {
+      videoUrl = downloadMatch[1].replace(/\\u002F/g, '/');
+    }
+  }
+  
+  // Method 5: Look for any video-related URLs
+  if (!videoUrl) {
+    const videoRegex = /"[^"]*video[^"]*":\s*"(https:\/\/[^"]+)"/gi;
+    const videoMatch = videoRegex.exec(html);
+    if (videoMatch && videoMatch[1]) {
+      videoUrl = videoMatch[1].replace(/\\u002F/g, '/');
+    }
+  }
+  
+  log.info(`Extracted video URL: ${videoUrl}`);
+  
+  if (!videoUrl) {
+    // Try the old API as fallback
+    log.info('No video URL found in page, trying old API...');
+    try {
+      const apiUrl = `https://www.loom.com/api/campaigns/sessions/${id}/transcoded-url`;
+      const body = ctx.options.password ? { password: ctx.options.password } : {};
+      const { data, headers } = await throttled(ctx, () => axios.post(apiUrl, body, {
+        timeout: 30000,
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...cookieHeaders(apiUrl, ctx)
+        },
+        ...axiosProxy(apiUrl, ctx.options)
+      }));
+      ctx.cookieJar.setFromResponse(apiUrl, headers['set-cookie']);
+      if (data && data.url) {
+        videoUrl = data.url;
+        log.info(`Got video URL from old API: ${videoUrl}`);
+      }
+    } catch (apiError) {
+      log.info(`Old API also failed: ${apiError.message}`);
+    }
+  }
+  
+  if (!videoUrl) {
+    throw new Error('No video download URL found. The video might be private or the download might be disabled.');
+  }
+  
+  return videoUrl;
+};
+
+// Resolve a share URL or bare ID to its stream URL and page metadata
+export const resolveVideo = async (urlOrId, ctx) => {
+  const { log } = ctx;
+  const id = extractId(urlOrId);
+  try {
+    const html = await fetchVideoPage(id, ctx);
+    let apolloState = parseApolloState(html, ctx);
+    if (isPasswordProtected(html, apolloState)) {
+      if (!ctx.options.password) {
+        throw passwordError(`Video ${id} is password protected, provide the password with --password`, 'PASSWORD_REQUIRED');
+      }
+      apolloState = withUnlockedVideo(apolloState, id, await unlockVideo(id, ctx.options.password, ctx));
+    }
+    if (apolloState) {
+      await writeDebugArtifact(ctx, 'apollo.json', JSON.stringify(apolloState, null, 2), id);
+    }
+    const url = await findVideoUrl(html, apolloState, id, ctx);
+    const video = {
+      id,
+      shareUrl: shareUrl(id),
+      url,
+      metadata: extractMetadata(html, apolloState, id),
+      transcriptSources: findTranscriptSources(apolloState, id)
+    };
+    ctx.emit('resolved', video);
+    return video;
+  } catch (error) {
+    log.error(`Error fetching download URL: ${error.message}`);
+    if (error.response) {
+      log.error(`Response status: ${error.response.status}`);
+    }
+    if (error.code === 'ECONNREFUSED') {
+      log.error('Connection refused - this might be a proxy or DNS issue');
+      log.error('Try checking your network settings or proxy configuration');
+    }
+    throw error;
+  }
+};
+
+export const fetchLoomDownloadUrl = async (id, ctx) => {
+  const { url } = await resolveVideo(id, ctx);
+  return url;
+};
+
+// Loom video IDs are 32 hex digits. Share and library paths may put a readable slug in
+// front of them, as in /share/Weekly-sync-0123456789abcdef0123456789abcdef.
+const VIDEO_ID = /^(?:.*-)?([0-9a-f]{32})$/i;
+const VIDEO_PATHS = [['share'], ['embed'], ['looms', 'videos']];
+
+const urlError = (message) => Object.assign(new Error(message), { code: 'INVALID_URL' });
+
+// Parse a loom.com URL, also without its scheme ("loom.com/share/..."), into a URL
+// object, or null if it is not one
+export const parseLoomUrl = (input) => {
+  const text = String(input).trim();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !/(^|\.)loom\.com$/i.test(parsed.hostname)) {
+    return null;
+  }
+  return parsed;
+};
+
+// Parse a video URL or bare ID into { id, url }, url being the canonical share URL.
+// Accepts /share/, /embed/ and /looms/videos/ paths with or without slug, query string,
+// fragment or trailing slash; anything else fails with an INVALID_URL error.
+export const parseVideoUrl = (urlOrId) => {
+  const text = String(urlOrId || '').trim();
+  const bareId = !/[/.]/.test(text) && text.match(VIDEO_ID);
+  if (bareId) {
+    const id = bareId[1].toLowerCase();
+    return { id, url: shareUrl(id) };
+  }
+  const parsed = parseLoomUrl(text);
+  if (!parsed) {
+    throw urlError(/[/.]/.test(text) ? `Not a Loom URL: ${text}` : `Not a Loom video ID (32 hex digits): ${text}`);
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const prefix = VIDEO_PATHS.find(path => path.every((segment, index) => segments[index] === segment));
+  const match = prefix && segments.length === prefix.length + 1 && segments[prefix.length].match(VIDEO_ID);
+  if (!match) {
+    throw urlError(`Not a Loom video URL, expected https://www.loom.com/share/<id>: ${text}`);
+  }
+  const id = match[1].toLowerCase();
+  return { id, url: shareUrl(id) };
+};
+
+export const extractId = (url) => parseVideoUrl(url).id;
+
+// Test network connectivity
+export const testNetworkConnectivity = async (ctx) => {
+  const { log } = ctx;
+  try {
+    log.debug('Testing network connectivity...');
+    const response = await axios.get(LOOM_ORIGIN, {
+      timeout: 30000, // Increased to 30 seconds
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      ...axiosProxy(LOOM_ORIGIN, ctx.options)
+    });
+    log.debug(`✓ Successfully connected to Loom (status: ${response.status})`);
+    return true;
+  } catch (error) {
+    log.error(`✗ Network connectivity test failed: ${error.message}`);
+    log.info('⚠️  Continuing anyway - network test might be too strict');
+    return true; // Continue anyway, the test might be too strict
+  }
+};
+
+export const shareUrl = (id) => `${LOOM_ORIGIN}/share/${id}`;
@@ -0,0 +1,145 @@
+import { createHash } from 'crypto';
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+import { errorCode } from './events.js';
+import { parseVideoUrl } from './loom.js';
+import { PACKAGE_ROOT } from './paths.js';
+
+// Download manifest of an output directory, keyed by video ID:
+// { version, importedFrom, videos: { [id]: { id, url, status, outputPath, size, sha256,
+//   method, fallbacks, tags, attempts, lastError, createdAt, updatedAt, completedAt } } }
+// fallbacks lists the download methods that failed or did not verify, with the reason.
+// Output paths are stored relative to the manifest, so the directory can be moved.
+
+export const MANIFEST_FILE = 'loom-dl-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Flat URL lists written by earlier versions, next to the script or in the output directory
+const LEGACY_LOG = 'downloaded.log';
+
+const readLegacyLog = async (logFile) => {
+  try {
+    const data = await fsPromises.readFile(logFile, 'utf8');
+    return data.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  } catch (error) {
+    return []; // If file doesn't exist, there is nothing to import
+  }
+};
+
+export const fileSha256 = (filePath) => new Promise((resolve, reject) => {
+  const hash = createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// Load the manifest at manifestPath, creating it on first use from the downloaded.log files
+// in legacyLogs (default: the one next to the script and the one in the manifest's directory)
+export const openManifest = async (manifestPath, ctx, legacyLogs = null) => {
+  const { log } = ctx;
+  const baseDir = path.dirname(manifestPath);
+  let data;
+  let imported = false;
+  try {
+    data = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read manifest ${manifestPath}: ${error.message}`);
+    }
+    data = { version: MANIFEST_VERSION, importedFrom: [], videos: {} };
+    const now = new Date().toISOString();
+    for (const logFile of legacyLogs || [path.join(PACKAGE_ROOT, LEGACY_LOG), path.join(baseDir, LEGACY_LOG)]) {
+      const urls = await readLegacyLog(logFile);
+      if (urls.length === 0) {
+        continue;
+      }
+      for (const url of urls) {
+        let id;
+        try {
+          id = parseVideoUrl(url).id;
+        } catch (error) {
+          log.warn(`Not importing ${url} from ${logFile}: ${error.message}`);
+          continue;
+        }
+        data.videos[id] = data.videos[id] || {
+          id, url, status: 'downloaded', outputPath: null, size: null, sha256: null,
+          attempts: 1, lastError: null, createdAt: now, updatedAt: now, completedAt: null
+        };
+      }
+      data.importedFrom.push(path.resolve(logFile));
+      imported = true;
+      log.info(`📒 Imported ${urls.length} entries from ${logFile} into ${manifestPath}`);
+    }
+  }
+
+  // Writes go through a queue and a temporary file, so concurrent downloads never
+  // interleave and an interrupted write leaves the previous manifest intact
+  let writing = Promise.resolve();
+  const save = () => {
+    // A failed write must not block the ones after it
+    writing = writing.catch(() => {}).then(async () => {
+      await fsPromises.mkdir(baseDir, { recursive: true });
+      const tempPath = `${manifestPath}.tmp`;
+      await fsPromises.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+      await fsPromises.rename(tempPath, manifestPath);
+    });
+    return writing;
+  };
+
+  const update = (id, url, fields) => {
+    const now = new Date().toISOString();
+    const entry = data.videos[id] || {
+      id, url, status: 'pending', outputPath: null, size: null, sha256: null,
+      attempts: 0, lastError: null, createdAt: now, completedAt: null
+    };
+    data.videos[id] = { ...entry, url, ...fields(entry), updatedAt: now };
+    return save();
+  };
+
+  if (imported) {
+    await save();
+  }
+
+  return {
+    path: manifestPath,
+    get: (id) => data.videos[id] || null,
+    entries: () => Object.values(data.videos),
+    // Why a video should not be downloaded again: 'downloaded', 'failed' or null.
+    // Downloads whose file has gone missing are fetched again.
+    skipReason: (id, { force = false, retryFailed = false } = {}) => {
+      const entry = data.videos[id];
+      if (!entry || force) {
+        return null;
+      }
+      if (entry.status === 'downloaded') {
+        return !entry.outputPath || fs.existsSync(path.resolve(baseDir, entry.outputPath)) ? 'downloaded' : null;
+      }
+      if (entry.status === 'failed' && !retryFailed) {
+        return 'failed';
+      }
+      return null;
+    },
+    attempt: (id, url, { tags = [] } = {}) => update(id, url, entry => ({ status: 'downloading', attempts: entry.attempts + 1, tags })),
+    complete: async (id, url, outputPath, { method = null, fallbacks = [] } = {}) => {
+      const size = (await fsPromises.stat(outputPath)).size;
+      const sha256 = await fileSha256(outputPath);
+      await update(id, url, () => ({
+        status: 'downloaded',
+        outputPath: path.relative(baseDir, path.resolve(outputPath)),
+        size,
+        sha256,
+        method,
+        fallbacks,
+        lastError: null,
+        completedAt: new Date().toISOString()
+      }));
+      return { size, sha256 };
+    },
+    fail: (id, url, error) => update(id, url, () => ({
+      status: 'failed',
+      fallbacks: error.fallbacks || [],
+      lastError: { message: error.message, code: errorCode(error) }
+    }))
+  };
+};
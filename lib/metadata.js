@@ -0,0 +1,126 @@
+import { promises as fsPromises } from 'fs';
+import { withExtension } from './utils.js';
+
+// Video metadata from the share page's Apollo state, with Open Graph tags as fallback
+
+// Apollo normalizes nested objects into references like { __ref: 'RegularUser:123' }
+const deref = (apolloState, value) => {
+  if (value && typeof value === 'object') {
+    const ref = value.__ref || (value.type === 'id' && value.id);
+    if (ref && apolloState && apolloState[ref]) {
+      return apolloState[ref];
+    }
+  }
+  return value;
+};
+
+const firstValue = (object, keys) => {
+  if (!object) {
+    return null;
+  }
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null && object[key] !== '') {
+      return object[key];
+    }
+  }
+  return null;
+};
+
+const decodeHtml = (text) => text
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;|&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const metaTag = (html, property) => {
+  const escaped = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`<meta[^>]+(?:property|name)=["']${escaped}["'][^>]+content=["']([^"']*)["']`, 'i').exec(html)
+    || new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]+(?:property|name)=["']${escaped}["']`, 'i').exec(html);
+  return match ? decodeHtml(match[1]) : null;
+};
+
+const findVideoEntry = (apolloState, id) => {
+  if (!apolloState) {
+    return null;
+  }
+  if (apolloState[`RegularUserVideo:${id}`]) {
+    return apolloState[`RegularUserVideo:${id}`];
+  }
+  const videos = Object.keys(apolloState)
+    .filter(key => key.startsWith('RegularUserVideo:'))
+    .map(key => apolloState[key]);
+  return videos.find(video => video && video.id === id) || videos[0] || null;
+};
+
+const ownerName = (owner) => {
+  if (!owner) {
+    return null;
+  }
+  const name = firstValue(owner, ['display_name', 'displayName', 'fullName', 'full_name', 'name']);
+  if (name) {
+    return name;
+  }
+  const parts = [firstValue(owner, ['first_name', 'firstName']), firstValue(owner, ['last_name', 'lastName'])].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
+const durationSeconds = (video, properties, html) => {
+  const milliseconds = firstValue(video, ['durationMs', 'duration_ms']) || firstValue(properties, ['durationMs', 'duration_ms']);
+  if (milliseconds !== null) {
+    return Number(milliseconds) / 1000;
+  }
+  const seconds = firstValue(properties, ['duration']) || firstValue(video, ['duration']) || metaTag(html, 'video:duration') || metaTag(html, 'og:video:duration');
+  return seconds !== null ? Number(seconds) : null;
+};
+
+const viewCount = (video) => {
+  const views = firstValue(video, ['total_views', 'totalViews', 'viewCount', 'view_count', 'views']);
+  if (views && typeof views === 'object') {
+    return firstValue(views, ['total', 'count']);
+  }
+  return views !== null ? Number(views) : null;
+};
+
+const thumbnailUrl = (apolloState, video, html) => {
+  const thumbnails = deref(apolloState, firstValue(video, ['thumbnails', 'default_thumbnails', 'defaultThumbnails']));
+  const fromThumbnails = thumbnails && typeof thumbnails === 'object'
+    ? firstValue(thumbnails, ['default', 'static', 'animated'])
+    : thumbnails;
+  return fromThumbnails || firstValue(video, ['thumbnailUrl', 'thumbnail_url']) || metaTag(html, 'og:image');
+};
+
+const folderInfo = (video, folder) => {
+  if (folder && typeof folder === 'object') {
+    return { id: firstValue(folder, ['id']), name: firstValue(folder, ['name']) };
+  }
+  const folderId = firstValue(video, ['folder_id', 'folderId']);
+  return folderId ? { id: folderId, name: null } : null;
+};
+
+// Extract title, description, owner, creation date, duration, views, folder and thumbnail
+export const extractMetadata = (html, apolloState, id) => {
+  const video = findVideoEntry(apolloState, id);
+  const owner = video ? deref(apolloState, firstValue(video, ['owner', 'createdBy', 'user'])) : null;
+  const folder = video ? deref(apolloState, firstValue(video, ['folder'])) : null;
+  const properties = video ? deref(apolloState, firstValue(video, ['video_properties', 'videoProperties'])) : null;
+
+  return {
+    id,
+    title: firstValue(video, ['name', 'title']) || metaTag(html, 'og:title'),
+    description: firstValue(video, ['description']) || metaTag(html, 'og:description'),
+    owner: ownerName(owner),
+    createdAt: firstValue(video, ['createdAt', 'created_at']),
+    duration: durationSeconds(video, properties, html),
+    viewCount: viewCount(video),
+    folder: folderInfo(video, folder),
+    thumbnailUrl: thumbnailUrl(apolloState, video, html)
+  };
+};
+
+// Write <output name>.info.json next to a download
+export const writeInfoJson = async (outputPath, info) => {
+  const infoPath = withExtension(outputPath, '.info.json');
+  await fsPromises.writeFile(infoPath, `${JSON.stringify(info, null, 2)}\n`);
+  return infoPath;
+};
@@ -0,0 +1,234 @@
+import fs, { promises as fsPromises } from 'fs';
+
+// Minimal ISO BMFF helpers, just enough to combine fragmented MP4 (CMAF) tracks
+// from separate HLS/DASH renditions into a single playable file.
+
+export const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Invalid MP4 box "${type}" at offset ${offset}`);
+    }
+    boxes.push({ type, start: offset, end: offset + size, headerSize });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (buffer, box, type) => {
+  return readBoxes(buffer, box.start + box.headerSize, box.end).find(child => child.type === type);
+};
+
+const children = (buffer, box) => readBoxes(buffer, box.start + box.headerSize, box.end);
+
+const payload = (box) => box.start + box.headerSize;
+
+const boxBuffer = (buffer, box) => Buffer.from(buffer.subarray(box.start, box.end));
+
+const wrapBox = (type, parts) => {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+// Track ID location inside tkhd depends on the full box version
+const tkhdTrackIdOffset = (buffer, tkhd) => payload(tkhd) + (buffer[payload(tkhd)] === 1 ? 20 : 12);
+
+const mvhdNextTrackIdOffset = (buffer, mvhd) => payload(mvhd) + (buffer[payload(mvhd)] === 1 ? 108 : 96);
+
+// Parse an init segment into its ftyp, mvhd, trak and trex boxes
+const parseInit = (buffer) => {
+  const top = readBoxes(buffer);
+  const ftyp = top.find(box => box.type === 'ftyp');
+  const moov = top.find(box => box.type === 'moov');
+  if (!moov) {
+    throw new Error('Init segment has no moov box');
+  }
+  const moovChildren = children(buffer, moov);
+  const mvhd = moovChildren.find(box => box.type === 'mvhd');
+  const mvex = moovChildren.find(box => box.type === 'mvex');
+  const tracks = moovChildren.filter(box => box.type === 'trak').map(trak => {
+    const tkhd = findBox(buffer, trak, 'tkhd');
+    return { trak, id: buffer.readUInt32BE(tkhdTrackIdOffset(buffer, tkhd)) };
+  });
+  const mvexChildren = mvex ? children(buffer, mvex) : [];
+  return { buffer, ftyp, mvhd, tracks, mehd: mvexChildren.find(box => box.type === 'mehd'), trex: mvexChildren.filter(box => box.type === 'trex') };
+};
+
+const rewriteTrackId = (buffer, trak, id) => {
+  const copy = boxBuffer(buffer, trak);
+  const tkhd = readBoxes(copy, 8).find(box => box.type === 'tkhd');
+  copy.writeUInt32BE(id, tkhdTrackIdOffset(copy, tkhd));
+  return copy;
+};
+
+// Build a single ftyp+moov from several init segments, renumbering clashing track IDs.
+// Returns the header plus a map per input from original to new track ID.
+export const mergeInitSegments = (initBuffers) => {
+  const inits = initBuffers.map(parseInit);
+  const traks = [];
+  const trexes = [];
+  const trackMaps = [];
+  let nextId = 1;
+
+  for (const init of inits) {
+    const trackMap = new Map();
+    for (const { trak, id } of init.tracks) {
+      const newId = Math.max(nextId, id);
+      trackMap.set(id, newId);
+      nextId = newId + 1;
+      traks.push(rewriteTrackId(init.buffer, trak, newId));
+    }
+    for (const trex of init.trex) {
+      const copy = boxBuffer(init.buffer, trex);
+      const oldId = copy.readUInt32BE(12);
+      if (trackMap.has(oldId)) {
+        copy.writeUInt32BE(trackMap.get(oldId), 12);
+        trexes.push(copy);
+      }
+    }
+    trackMaps.push(trackMap);
+  }
+
+  const first = inits[0];
+  const mvhd = boxBuffer(first.buffer, first.mvhd);
+  mvhd.writeUInt32BE(nextId, mvhdNextTrackIdOffset(mvhd, readBoxes(mvhd)[0]));
+  const mvexParts = first.mehd ? [boxBuffer(first.buffer, first.mehd), ...trexes] : trexes;
+  const moov = wrapBox('moov', [mvhd, ...traks, wrapBox('mvex', mvexParts)]);
+  const ftyp = first.ftyp ? boxBuffer(first.buffer, first.ftyp) : Buffer.alloc(0);
+
+  return { header: Buffer.concat([ftyp, moov]), trackMaps };
+};
+
+// Rewrite moof sequence numbers and track IDs of a media segment.
+// styp and sidx are dropped because their offsets no longer apply in the merged file.
+export const rewriteFragments = (buffer, trackMap, sequence) => {
+  const output = [];
+  for (const box of readBoxes(buffer)) {
+    if (box.type === 'styp' || box.type === 'sidx') {
+      continue;
+    }
+    const copy = boxBuffer(buffer, box);
+    if (box.type === 'moof') {
+      for (const child of readBoxes(copy, 8)) {
+        if (child.type === 'mfhd') {
+          copy.writeUInt32BE(sequence.next++, payload(child) + 4);
+        } else if (child.type === 'traf') {
+          const tfhd = findBox(copy, child, 'tfhd');
+          const flags = copy.readUInt32BE(payload(tfhd)) & 0xffffff;
+          if (flags & 0x000001) {
+            throw new Error('Fragments with absolute base data offsets cannot be merged');
+          }
+          const idOffset = payload(tfhd) + 4;
+          const id = copy.readUInt32BE(idOffset);
+          copy.writeUInt32BE(trackMap.has(id) ? trackMap.get(id) : id, idOffset);
+        }
+      }
+    }
+    output.push(copy);
+  }
+  return Buffer.concat(output);
+};
+
+// Combine per-track fragmented MP4 files into one file.
+// tracks: [{ init: path, segments: [{ path, start }] }], segments interleaved by start time.
+export const muxFragmentedTracks = async (tracks, outputPath) => {
+  const inits = await Promise.all(tracks.map(track => fsPromises.readFile(track.init)));
+  const { header, trackMaps } = mergeInitSegments(inits);
+  const ordered = tracks
+    .flatMap((track, index) => track.segments.map(segment => ({ ...segment, trackMap: trackMaps[index] })))
+    .sort((a, b) => a.start - b.start);
+
+  const sequence = { next: 1 };
+  const out = fs.createWriteStream(outputPath);
+  const write = (chunk) => new Promise((resolve, reject) => {
+    out.write(chunk, (err) => (err ? reject(err) : resolve()));
+  });
+
+  try {
+    await write(header);
+    for (const segment of ordered) {
+      await write(rewriteFragments(await fsPromises.readFile(segment.path), segment.trackMap, sequence));
+    }
+  } finally {
+    await new Promise(resolve => out.end(resolve));
+  }
+};
+
+// Movie duration in seconds from mvhd, or from mehd for fragmented files; null when unknown
+const movieDuration = (buffer, mvhd, mehd) => {
+  const version = buffer[payload(mvhd)];
+  const timescale = buffer.readUInt32BE(payload(mvhd) + (version === 1 ? 20 : 12));
+  let duration = version === 1 ? Number(buffer.readBigUInt64BE(payload(mvhd) + 24)) : buffer.readUInt32BE(payload(mvhd) + 16);
+  if ((duration === 0 || duration === 0xffffffff) && mehd) {
+    duration = buffer[payload(mehd)] === 1 ? Number(buffer.readBigUInt64BE(payload(mehd) + 4)) : buffer.readUInt32BE(payload(mehd) + 4);
+  }
+  return timescale > 0 && duration > 0 && duration !== 0xffffffff ? duration / timescale : null;
+};
+
+// Stream counts and duration of an MP4 file, reading only the top-level box headers and
+// the moov box. Throws when the file does not parse, e.g. because it is truncated.
+export const probeMp4 = async (filePath) => {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    let moov = null;
+    let hasMedia = false;
+    while (offset + 8 <= size) {
+      await handle.read(header, 0, 16, offset);
+      const type = header.toString('latin1', 4, 8);
+      let boxSize = header.readUInt32BE(0);
+      if (boxSize === 1) {
+        boxSize = Number(header.readBigUInt64BE(8));
+      } else if (boxSize === 0) {
+        boxSize = size - offset;
+      }
+      if (boxSize < 8 || offset + boxSize > size) {
+        throw new Error(`Invalid MP4 box "${type}" at offset ${offset}, the file is probably truncated`);
+      }
+      if (type === 'moov') {
+        moov = Buffer.alloc(boxSize);
+        await handle.read(moov, 0, boxSize, offset);
+      } else if (type === 'mdat') {
+        hasMedia = true;
+      }
+      offset += boxSize;
+    }
+    if (!moov) {
+      throw new Error('MP4 file has no moov box');
+    }
+    if (!hasMedia) {
+      throw new Error('MP4 file has no media data');
+    }
+
+    const moovChildren = children(moov, readBoxes(moov)[0]);
+    const mvhd = moovChildren.find(box => box.type === 'mvhd');
+    const mvex = moovChildren.find(box => box.type === 'mvex');
+    const handlers = moovChildren.filter(box => box.type === 'trak').map(trak => {
+      const mdia = findBox(moov, trak, 'mdia');
+      const hdlr = mdia && findBox(moov, mdia, 'hdlr');
+      return hdlr ? moov.toString('latin1', payload(hdlr) + 8, payload(hdlr) + 12) : null;
+    });
+    return {
+      videoStreams: handlers.filter(type => type === 'vide').length,
+      audioStreams: handlers.filter(type => type === 'soun').length,
+      duration: mvhd ? movieDuration(moov, mvhd, mvex && findBox(moov, mvex, 'mehd')) : null
+    };
+  } finally {
+    await handle.close();
+  }
+};
@@ -0,0 +1,5 @@
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+// Install directory of the package, where earlier versions kept downloaded.log
+export const PACKAGE_ROOT = path.resolve(dirname(fileURLToPath(import.meta.url)), '..');
@@ -0,0 +1,125 @@
+// 'progress' events: { phase, bytes, totalBytes, percent, speed (bytes/s), eta (s) }.
+// Reporters throttle their events, the final update of a phase is always emitted.
+
+const PROGRESS_INTERVAL = 500;
+
+const UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3 };
+
+// Parse sizes like 12.34MiB or 512kB into bytes
+export const parseSize = (value, unit) => Math.round(Number(value) * (UNITS[unit.toLowerCase()] || 1));
+
+// Create a reporter for one phase of a download (e.g. 'download', 'video', 'audio').
+// startBytes are bytes already present before this run, as when resuming, which do not
+// count towards the speed.
+export const createProgress = (ctx, phase, { startBytes = 0 } = {}) => {
+  const startedAt = Date.now();
+  let lastEmit = 0;
+
+  // Known speed, eta or percent (e.g. reported by yt-dlp) take precedence over computed ones
+  return ({ bytes = null, totalBytes = null, percent = null, speed = null, eta = null, done = false, ...extra }) => {
+    const now = Date.now();
+    if (!done && now - lastEmit < PROGRESS_INTERVAL) {
+      return;
+    }
+    lastEmit = now;
+
+    const elapsed = (now - startedAt) / 1000;
+    const ratio = percent !== null ? percent / 100 : (bytes !== null && totalBytes ? bytes / totalBytes : null);
+    const currentSpeed = speed !== null ? speed : (bytes !== null && elapsed > 0 ? Math.max(0, bytes - startBytes) / elapsed : null);
+    let remaining = eta;
+    if (remaining === null && ratio !== null && ratio > 0) {
+      remaining = bytes !== null && totalBytes && currentSpeed
+        ? (totalBytes - bytes) / currentSpeed
+        : elapsed * (1 - ratio) / ratio;
+    }
+
+    ctx.emit('progress', {
+      phase,
+      bytes,
+      totalBytes,
+      percent: ratio !== null ? Math.min(100, Math.round(ratio * 1000) / 10) : null,
+      speed: currentSpeed !== null ? Math.round(currentSpeed) : null,
+      eta: remaining !== null ? Math.max(0, Math.round(remaining)) : null,
+      ...extra
+    });
+  };
+};
+
+// yt-dlp prints one machine-readable line per progress update with these arguments
+export const YT_DLP_PROGRESS_ARGS = [
+  '--newline',
+  '--progress-template',
+  'download:[progress] %(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s %(progress.speed)s %(progress.eta)s'
+];
+
+const numberOrNull = (value) => (value === undefined || value === 'NA' || value === 'None' || Number.isNaN(Number(value)) ? null : Number(value));
+
+// Parse a progress line: the template above, or yt-dlp's default
+// "[download]  45.3% of ~ 12.34MiB at 1.23MiB/s ETA 00:12"
+const parseYtDlpLine = (line) => {
+  if (line.startsWith('[progress] ')) {
+    const [bytes, total, estimate, speed, eta] = line.slice(11).trim().split(/\s+/).map(numberOrNull);
+    return { bytes, totalBytes: total !== null ? total : (estimate !== null ? Math.round(estimate) : null), speed, eta };
+  }
+  const match = /^\[download\]\s+([\d.]+)% of\s+~?\s*([\d.]+)([KMG]?i?B)(?:\s+in\s+[\d:]+)?(?:\s+at\s+([\d.]+)([KMG]?i?B)\/s)?(?:\s+ETA\s+([\d:]+))?/.exec(line);
+  if (!match) {
+    return null;
+  }
+  const percent = Number(match[1]);
+  const totalBytes = parseSize(match[2], match[3]);
+  return {
+    bytes: Math.round(totalBytes * percent / 100),
+    totalBytes,
+    percent,
+    speed: match[4] ? parseSize(match[4], match[5]) : null,
+    eta: match[6] ? match[6].split(':').map(Number).reduce((total, part) => total * 60 + part, 0) : null
+  };
+};
+
+// Report yt-dlp's progress lines. Returns the rest of the output chunk, without them.
+export const ytDlpProgress = (ctx, phase) => {
+  const report = createProgress(ctx, phase);
+  return (chunk) => {
+    const rest = [];
+    for (const line of String(chunk).split(/[\r\n]+/)) {
+      const progress = parseYtDlpLine(line);
+      if (progress) {
+        report({ ...progress, done: progress.totalBytes !== null && progress.bytes >= progress.totalBytes });
+      } else if (line.trim()) {
+        rest.push(line);
+      }
+    }
+    return rest.join('\n');
+  };
+};
+
+// ffmpeg arguments writing "key=value" progress blocks to stdout instead of status lines on stderr
+export const FFMPEG_PROGRESS_ARGS = ['-progress', 'pipe:1', '-nostats'];
+
+// Report ffmpeg's -progress blocks, which end with "progress=continue" or "progress=end".
+// durationSeconds, if known, turns the written media time into a percentage.
+export const ffmpegProgress = (ctx, phase, durationSeconds = null) => {
+  const report = createProgress(ctx, phase);
+  let block = {};
+  return (chunk) => {
+    for (const line of String(chunk).split(/\r?\n/)) {
+      const separator = line.indexOf('=');
+      if (separator < 0) {
+        continue;
+      }
+      const key = line.slice(0, separator).trim();
+      block[key] = line.slice(separator + 1).trim();
+      if (key !== 'progress') {
+        continue;
+      }
+      const time = numberOrNull(block.out_time_us);
+      report({
+        bytes: numberOrNull(block.total_size),
+        percent: durationSeconds && time !== null ? Math.min(100, time / 1e4 / durationSeconds) : null,
+        time: time !== null ? Math.round(time / 1e5) / 10 : null,
+        done: block.progress === 'end'
+      });
+      block = {};
+    }
+  };
+};
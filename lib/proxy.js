@@ -0,0 +1,329 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+
+// Proxy support for every connection loom-dl makes: axios requests, direct downloads and
+// the yt-dlp and ffmpeg processes. options.proxy (http://, https://, socks5:// or socks5h://,
+// optionally with user:password@) wins over the HTTPS_PROXY, HTTP_PROXY and ALL_PROXY
+// environment variables; hosts listed in NO_PROXY are always reached directly, and
+// options.proxy === false ignores the environment.
+// HTTP proxies are used through CONNECT tunnels, also for plain http:// URLs.
+
+const SUPPORTED_PROTOCOLS = new Set(['http:', 'https:', 'socks5:', 'socks5h:']);
+
+const envValue = (name) => process.env[name.toLowerCase()] || process.env[name.toUpperCase()] || '';
+
+const proxyError = (message) => Object.assign(new Error(message), { code: 'PROXY_ERROR' });
+
+export const parseProxyUrl = (value) => {
+  let proxy;
+  try {
+    // Like curl, a proxy without a scheme is an HTTP proxy
+    proxy = new URL(/^[a-z0-9+.-]+:\/\//i.test(value) ? value : `http://${value}`);
+  } catch (error) {
+    throw proxyError(`Invalid proxy "${value}"`);
+  }
+  if (!SUPPORTED_PROTOCOLS.has(proxy.protocol)) {
+    throw proxyError(`Unsupported proxy protocol "${proxy.protocol}", use http, https, socks5 or socks5h`);
+  }
+  return proxy;
+};
+
+// Whether NO_PROXY lists the host of url: "*", host names (also matching subdomains,
+// with or without a leading dot or "*."), optionally with a port
+export const bypassesProxy = (url) => {
+  const noProxy = envValue('no_proxy');
+  if (!noProxy) {
+    return false;
+  }
+  const { hostname, port, protocol } = new URL(url);
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const effectivePort = port || (protocol === 'https:' ? '443' : '80');
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') {
+      return true;
+    }
+    const [, entryHost, entryPort] = /^(.*?)(?::(\d+))?$/.exec(entry.toLowerCase());
+    if (entryPort && entryPort !== effectivePort) {
+      return false;
+    }
+    const suffix = entryHost.replace(/^\*?\./, '');
+    return host === suffix || host.endsWith(`.${suffix}`);
+  });
+};
+
+// Proxy URL string for a request to url, or null for a direct connection
+export const proxyFor = (url, options = {}) => {
+  if (options.proxy === false || bypassesProxy(url)) {
+    return null;
+  }
+  if (options.proxy) {
+    return options.proxy;
+  }
+  const scheme = new URL(url).protocol === 'https:' ? 'https_proxy' : 'http_proxy';
+  return envValue(scheme) || envValue('all_proxy') || null;
+};
+
+// Proxy URL with the password replaced, for log messages
+export const redactProxy = (value) => {
+  const proxy = parseProxyUrl(value);
+  if (proxy.password) {
+    proxy.password = '***';
+  }
+  return proxy.toString().replace(/\/$/, '');
+};
+
+const credentials = (proxy) => ({
+  username: decodeURIComponent(proxy.username),
+  password: decodeURIComponent(proxy.password)
+});
+
+// Read the proxy's handshake replies from socket. The socket keeps flowing afterwards:
+// neither HTTP nor TLS servers speak first, so nothing arrives before the tunnel's user
+// has attached its own listeners.
+const handshakeReader = (socket) => {
+  let buffered = Buffer.alloc(0);
+  let pending = null;
+  let failure = null;
+
+  const check = () => {
+    if (!pending) {
+      return;
+    }
+    if (failure) {
+      pending.reject(failure);
+      pending = null;
+      return;
+    }
+    const length = pending.length(buffered);
+    if (length !== null && buffered.length >= length) {
+      const chunk = buffered.subarray(0, length);
+      buffered = buffered.subarray(length);
+      pending.resolve(chunk);
+      pending = null;
+    }
+  };
+  const onData = (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    check();
+  };
+  const onError = (error) => {
+    failure = proxyError(`Proxy connection failed: ${error.message}`);
+    check();
+  };
+  const onEnd = () => onError(new Error('connection closed during the handshake'));
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('end', onEnd);
+
+  // length(buffered) returns the number of bytes to read, or null until it is known
+  const read = (length) => new Promise((resolve, reject) => {
+    pending = { length, resolve, reject };
+    check();
+  });
+
+  return {
+    bytes: (count) => read(() => count),
+    until: (delimiter) => read((data) => {
+      const end = data.indexOf(delimiter);
+      return end < 0 ? null : end + delimiter.length;
+    }),
+    release: () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('end', onEnd);
+    }
+  };
+};
+
+const connectToProxy = (proxy, defaultPort) => new Promise((resolve, reject) => {
+  const port = Number(proxy.port) || defaultPort;
+  const socket = proxy.protocol === 'https:'
+    ? tls.connect({ host: proxy.hostname, port, servername: proxy.hostname })
+    : net.connect(port, proxy.hostname);
+  socket.once(proxy.protocol === 'https:' ? 'secureConnect' : 'connect', () => {
+    socket.removeListener('error', onError);
+    resolve(socket);
+  });
+  const onError = (error) => reject(proxyError(`Could not connect to proxy ${proxy.hostname}:${port}: ${error.message}`));
+  socket.once('error', onError);
+});
+
+// HTTP CONNECT tunnel to host:port
+const httpTunnel = async (proxy, host, port) => {
+  const socket = await connectToProxy(proxy, proxy.protocol === 'https:' ? 443 : 80);
+  const reader = handshakeReader(socket);
+  const lines = [`CONNECT ${host}:${port} HTTP/1.1`, `Host: ${host}:${port}`];
+  if (proxy.username) {
+    const { username, password } = credentials(proxy);
+    lines.push(`Proxy-Authorization: Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`);
+  }
+  socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+  try {
+    const response = (await reader.until('\r\n\r\n')).toString('latin1');
+    const status = Number((/^HTTP\/1\.[01] (\d{3})/.exec(response) || [])[1]);
+    if (status === 407) {
+      throw proxyError('Proxy authentication failed (HTTP 407), check the user and password of --proxy');
+    }
+    if (status !== 200) {
+      throw proxyError(`Proxy refused the connection to ${host}:${port} (HTTP ${status || 'response unreadable'})`);
+    }
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+  reader.release();
+  return socket;
+};
+
+const SOCKS_REPLIES = {
+  1: 'general failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// SOCKS5 tunnel to host:port (RFC 1928, with RFC 1929 user/password authentication).
+// socks5:// resolves host names locally, socks5h:// lets the proxy resolve them.
+const socksTunnel = async (proxy, host, port) => {
+  let address = host;
+  if (proxy.protocol === 'socks5:' && !net.isIP(host)) {
+    address = (await dns.promises.lookup(host)).address;
+  }
+  const socket = await connectToProxy(proxy, 1080);
+  const reader = handshakeReader(socket);
+  try {
+    const methods = proxy.username ? [0x00, 0x02] : [0x00];
+    socket.write(Buffer.from([0x05, methods.length, ...methods]));
+    const [version, method] = await reader.bytes(2);
+    if (version !== 0x05 || method === 0xff) {
+      throw proxyError('SOCKS proxy accepts none of our authentication methods');
+    }
+    if (method === 0x02) {
+      const { username, password } = credentials(proxy);
+      const user = Buffer.from(username);
+      const pass = Buffer.from(password);
+      socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+      const [, status] = await reader.bytes(2);
+      if (status !== 0x00) {
+        throw proxyError('SOCKS proxy authentication failed, check the user and password of --proxy');
+      }
+    }
+
+    let target;
+    if (net.isIPv4(address)) {
+      target = Buffer.from([0x01, ...address.split('.').map(Number)]);
+    } else if (net.isIPv6(address)) {
+      target = Buffer.concat([Buffer.from([0x04]), ipv6Bytes(address)]);
+    } else {
+      const name = Buffer.from(address);
+      target = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+    }
+    const portBytes = Buffer.alloc(2);
+    portBytes.writeUInt16BE(port);
+    socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), target, portBytes]));
+
+    const [, reply, , addressType] = await reader.bytes(4);
+    if (reply !== 0x00) {
+      throw proxyError(`SOCKS proxy could not connect to ${host}:${port}: ${SOCKS_REPLIES[reply] || `error ${reply}`}`);
+    }
+    // Skip the bound address and port
+    const addressLength = addressType === 0x01 ? 4 : addressType === 0x04 ? 16 : (await reader.bytes(1))[0];
+    await reader.bytes(addressLength + 2);
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+  reader.release();
+  return socket;
+};
+
+// 16 bytes of an IPv6 address, expanding "::"
+const ipv6Bytes = (address) => {
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = address.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  return bytes;
+};
+
+const openTunnel = (proxy, host, port) => (proxy.protocol.startsWith('socks')
+  ? socksTunnel(proxy, host, port)
+  : httpTunnel(proxy, host, port));
+
+// http(s).Agent whose connections run through the proxy. TLS to the target is set up
+// inside the tunnel, so the proxy never sees the request.
+const createProxyAgent = (proxyUrl, secure) => {
+  const proxy = parseProxyUrl(proxyUrl);
+  const Agent = secure ? https.Agent : http.Agent;
+  const agent = new Agent({ keepAlive: true });
+  agent.createConnection = (options, callback) => {
+    const host = options.host || options.hostname;
+    const port = Number(options.port) || (secure ? 443 : 80);
+    openTunnel(proxy, host, port).then((socket) => {
+      if (!secure) {
+        callback(null, socket);
+        return;
+      }
+      const secureSocket = tls.connect({ ...options, socket, servername: options.servername || (net.isIP(host) ? undefined : host) });
+      secureSocket.once('secureConnect', () => callback(null, secureSocket));
+      secureSocket.once('error', callback);
+    }, callback);
+  };
+  return agent;
+};
+
+// One agent per proxy and scheme, so connections are reused across requests
+const agents = new Map();
+
+// Agent for a request to url, or undefined for a direct connection
+export const proxyAgent = (url, options = {}) => {
+  const proxyUrl = proxyFor(url, options);
+  if (!proxyUrl) {
+    return undefined;
+  }
+  const secure = new URL(url).protocol === 'https:';
+  const key = `${secure ? 'https' : 'http'} ${proxyUrl}`;
+  if (!agents.has(key)) {
+    agents.set(key, createProxyAgent(proxyUrl, secure));
+  }
+  return agents.get(key);
+};
+
+// axios request config for url. axios' own proxy handling is switched off, as it does
+// not tunnel HTTPS and knows neither SOCKS nor our NO_PROXY matching.
+export const axiosProxy = (url, options = {}) => {
+  const agent = proxyAgent(url, options);
+  return {
+    proxy: false,
+    ...(agent ? (new URL(url).protocol === 'https:' ? { httpsAgent: agent } : { httpAgent: agent }) : {})
+  };
+};
+
+// yt-dlp arguments for url: the proxy, or an empty --proxy forcing a direct connection
+// where NO_PROXY or options.proxy === false asks for one
+export const ytDlpProxyArgs = (url, options = {}) => ['--proxy', proxyFor(url, options) || ''];
+
+// ffmpeg input arguments for url. ffmpeg only speaks HTTP proxies, and only with a scheme,
+// so it gets the normalized URL.
+export const ffmpegProxyArgs = (url, options = {}) => {
+  const proxyUrl = proxyFor(url, options);
+  if (!proxyUrl) {
+    return [];
+  }
+  const proxy = parseProxyUrl(proxyUrl);
+  if (proxy.protocol !== 'http:') {
+    throw proxyError(`ffmpeg cannot use ${proxy.protocol.slice(0, -1)} proxies, only http`);
+  }
+  return ['-http_proxy', proxy.toString().replace(/\/$/, '')];
+};
@@ -0,0 +1,91 @@
+// Quality selection shared by the built-in HLS/DASH clients, ffmpeg and yt-dlp.
+// Accepted values: best, worst, a maximum height like 720p, or a maximum bitrate
+// like 1500k, 2.5M or 800 (kbps).
+
+export const parseQuality = (value = 'best') => {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'best' || text === 'worst') {
+    return { type: text };
+  }
+  const height = /^(\d+)p$/.exec(text);
+  if (height) {
+    return { type: 'height', value: Number(height[1]) };
+  }
+  const bitrate = /^(\d+(?:\.\d+)?)([km]?)$/.exec(text);
+  if (bitrate) {
+    return { type: 'bitrate', value: Number(bitrate[1]) * (bitrate[2] === 'm' ? 1000000 : 1000) };
+  }
+  throw new Error(`Invalid quality "${value}", use best, worst, a height like 720p or a bitrate like 1500k`);
+};
+
+export const qualityFromOptions = (options) => parseQuality(options.quality || 'best');
+
+// Pick the candidate matching quality: the highest bandwidth within the height or bitrate
+// limit, or the smallest one when none fits. heightOf reads a candidate's height.
+export const selectByQuality = (candidates, quality, heightOf = candidate => candidate.height) => {
+  if (candidates.length === 0) {
+    return null;
+  }
+  const sorted = [...candidates].sort((a, b) => a.bandwidth - b.bandwidth);
+  const lowest = sorted[0];
+  const highest = sorted[sorted.length - 1];
+  if (quality.type === 'worst') {
+    return lowest;
+  }
+  if (quality.type === 'height') {
+    const known = sorted.filter(candidate => heightOf(candidate));
+    if (known.length === 0) {
+      return highest;
+    }
+    const fitting = known.filter(candidate => heightOf(candidate) <= quality.value);
+    return fitting.length > 0
+      ? fitting[fitting.length - 1]
+      : known.reduce((smallest, current) => (heightOf(current) < heightOf(smallest) ? current : smallest));
+  }
+  if (quality.type === 'bitrate') {
+    const fitting = sorted.filter(candidate => candidate.bandwidth <= quality.value);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : lowest;
+  }
+  return highest;
+};
+
+// Loom-specific format IDs keep the proven defaults when the best quality is wanted
+const BEST_FORMATS = {
+  file: 'best[ext=mp4]/best',
+  merged: 'bestvideo+bestaudio/best',
+  explicit: 'hls-raw-audio-audio+hls-raw-5500/hls-raw-audio-audio+hls-raw-3200/hls-raw-audio-audio+hls-raw-1500/best',
+  video: 'hls-raw-5500/hls-raw-3200/hls-raw-1500/best[height<=2160]',
+  audio: 'hls-raw-audio-audio',
+  extract: 'hls-raw-audio-audio/bestaudio/best'
+};
+
+const WORST_FORMATS = {
+  file: 'worst[ext=mp4]/worst',
+  merged: 'worstvideo+worstaudio/worst',
+  explicit: 'worstvideo+worstaudio/worst',
+  video: 'worstvideo/worst',
+  audio: 'hls-raw-audio-audio/worstaudio',
+  extract: 'worstaudio/worst'
+};
+
+// yt-dlp --format value for a quality. kind is 'file' (single file with audio),
+// 'merged' or 'explicit' (video plus audio), 'video' or 'audio' (one stream), or
+// 'extract' (audio only, taken from a muxed format when there is no separate one).
+export const ytDlpFormat = (quality, kind) => {
+  if (quality.type === 'best') {
+    return BEST_FORMATS[kind];
+  }
+  if (quality.type === 'worst') {
+    return WORST_FORMATS[kind];
+  }
+  // tbr is in kbps; formats exceeding the limit fall back to the smallest one
+  const filter = quality.type === 'height' ? `[height<=${quality.value}]` : `[tbr<=${Math.round(quality.value / 1000)}]`;
+  return {
+    file: `best[ext=mp4]${filter}/best${filter}/worst`,
+    merged: `bestvideo${filter}+bestaudio/best${filter}/worst`,
+    explicit: `bestvideo${filter}+bestaudio/best${filter}/worst`,
+    video: `bestvideo${filter}/best${filter}/worstvideo/worst`,
+    audio: 'hls-raw-audio-audio/bestaudio',
+    extract: `hls-raw-audio-audio/bestaudio/best${filter}/worst`
+  }[kind];
+};
@@ -0,0 +1,89 @@
+import { delay } from './utils.js';
+
+// Requests-per-minute limit shared by every request of a downloader: page fetches, API
+// calls, manifests, segments and direct downloads. HTTP 429 responses pause all of them.
+
+const WINDOW = 60000;
+// Wait used when a 429 response has no usable Retry-After header
+const DEFAULT_RETRY_AFTER = 30000;
+const RATE_LIMIT_RETRIES = 3;
+
+// At most requestsPerMinute requests start in any 60-second window (0: no limit).
+// Waiting requests are served in order.
+export const createRateLimiter = (requestsPerMinute = 0) => {
+  let started = [];
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const nextSlot = async () => {
+    for (;;) {
+      const now = Date.now();
+      if (pausedUntil > now) {
+        await delay(pausedUntil - now);
+        continue;
+      }
+      started = started.filter(time => time > now - WINDOW);
+      if (requestsPerMinute > 0 && started.length >= requestsPerMinute) {
+        await delay(started[0] + WINDOW - now);
+        continue;
+      }
+      started.push(now);
+      return;
+    }
+  };
+
+  return {
+    // Resolve once the next request may start
+    acquire: () => {
+      const slot = queue.then(nextSlot);
+      queue = slot;
+      return slot;
+    },
+    // Hold every request until milliseconds from now
+    pause: (milliseconds) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + milliseconds);
+    }
+  };
+};
+
+// Retry-After in milliseconds, given as seconds or as an HTTP date
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Run request() once ctx's rate limiter allows it. A 429 response pauses all requests for
+// its Retry-After and runs request() again, up to RATE_LIMIT_RETRIES times; after that it
+// fails with a RATE_LIMITED error. request() rejects like axios, with error.response.status.
+export const throttled = async (ctx, request) => {
+  const { log } = ctx;
+  for (let attempt = 0; ; attempt++) {
+    if (ctx.rateLimiter) {
+      await ctx.rateLimiter.acquire();
+    }
+    try {
+      return await request();
+    } catch (error) {
+      if (!error.response || error.response.status !== 429) {
+        throw error;
+      }
+      const wait = parseRetryAfter(error.response.headers && error.response.headers['retry-after']) ?? DEFAULT_RETRY_AFTER;
+      if (attempt >= RATE_LIMIT_RETRIES) {
+        throw Object.assign(new Error(`Rate limited by the server (HTTP 429) ${attempt + 1} times in a row`), { code: 'RATE_LIMITED', retryAfter: wait });
+      }
+      log.warn(`⏳ Rate limited by the server, pausing all requests for ${Math.ceil(wait / 1000)}s...`);
+      if (ctx.rateLimiter) {
+        ctx.rateLimiter.pause(wait);
+      } else {
+        await delay(wait);
+      }
+    }
+  }
+};
@@ -0,0 +1,111 @@
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+import { fetchMedia } from './http.js';
+import { muxFragmentedTracks } from './mp4.js';
+import { createProgress } from './progress.js';
+import { asyncPool, backoff, withExtension } from './utils.js';
+
+// Segment download and assembly shared by the built-in HLS and DASH clients
+
+// Ranges without an end run to the end of the file
+const rangeHeaders = (range) => (range ? { Range: `bytes=${range.start}-${range.end ?? ''}` } : {});
+
+// Download a track's init segment and media segments into a temporary directory.
+// track: { init: { uri, range } | null, segments: [{ uri, range, duration }] }
+// transform(segment, data) may post-process each segment, e.g. to decrypt it.
+export const downloadTrack = async (name, track, tempDir, ctx, transform = (segment, data) => data) => {
+  const { log, options } = ctx;
+  const concurrency = options.segmentConcurrency || 4;
+  const report = createProgress(ctx, name);
+  let completed = 0;
+  let bytes = 0;
+  // Segment retries are reported with the segment's URL, the download's own url stays in place
+  const onRetry = (uri) => (error, { retriesLeft, delay }) => {
+    log.warn(`⚠️  ${name} segment failed (${error.message}), retrying in ${delay / 1000}s...`);
+    ctx.emit('retry', { phase: name, segment: uri, error, retriesLeft, delay });
+  };
+
+  let initPath = null;
+  if (track.init) {
+    initPath = path.join(tempDir, `${name}-init.mp4`);
+    const init = await backoff(5, () => fetchMedia(track.init.uri, ctx, { headers: rangeHeaders(track.init.range) }), 1000, onRetry(track.init.uri));
+    await fsPromises.writeFile(initPath, init);
+  }
+
+  let start = 0;
+  const planned = track.segments.map((segment, index) => {
+    const item = { ...segment, index, start, path: path.join(tempDir, `${name}-${String(index).padStart(6, '0')}.seg`) };
+    start += segment.duration;
+    return item;
+  });
+
+  await asyncPool(concurrency, planned, async (segment) => {
+    const data = await backoff(5, () => fetchMedia(segment.uri, ctx, { headers: rangeHeaders(segment.range) }), 1000, onRetry(segment.uri));
+    await fsPromises.writeFile(segment.path, await transform(segment, data));
+    completed++;
+    bytes += data.length;
+    // Segment sizes are unknown upfront, the percentage counts segments
+    report({ bytes, percent: completed / planned.length * 100, segments: completed, totalSegments: planned.length, done: completed === planned.length });
+    if (completed % 10 === 0 || completed === planned.length) {
+      log.debug(`📥 ${name}: ${completed}/${planned.length} segments`);
+    }
+  });
+
+  const first = planned.length > 0 ? await fsPromises.readFile(planned[0].path) : Buffer.alloc(0);
+  return {
+    name,
+    init: initPath,
+    segments: planned,
+    // MPEG-TS packets start with a 0x47 sync byte
+    container: !initPath && first[0] === 0x47 ? 'ts' : 'mp4'
+  };
+};
+
+const concatenateTrack = async (track, outputPath) => {
+  const out = fs.createWriteStream(outputPath);
+  const files = track.init ? [track.init, ...track.segments.map(s => s.path)] : track.segments.map(s => s.path);
+  try {
+    for (const file of files) {
+      const data = await fsPromises.readFile(file);
+      await new Promise((resolve, reject) => out.write(data, (err) => (err ? reject(err) : resolve())));
+    }
+  } finally {
+    await new Promise(resolve => out.end(resolve));
+  }
+};
+
+// Write downloaded video (and optional audio) tracks to a playable file.
+// Resolves to the path actually written, which ends in .ts for MPEG-TS streams
+// and in .m4a for a fragmented audio track on its own.
+export const writeTracks = async (video, audio, outputPath, ctx) => {
+  const { log } = ctx;
+  if (audio && video.init && audio.init) {
+    log.info('🔗 Combining video and audio tracks...');
+    await muxFragmentedTracks([video, audio], outputPath);
+    return outputPath;
+  }
+
+  // A lone fragmented audio track is an M4A file
+  const fmp4Extension = video.name === 'audio' ? '.m4a' : path.extname(outputPath);
+  const videoPath = withExtension(outputPath, video.container === 'ts' ? '.ts' : fmp4Extension);
+  await concatenateTrack(video, videoPath);
+  if (audio) {
+    // MPEG-TS renditions cannot be interleaved without a remuxer, keep audio next to the video
+    const audioPath = withExtension(outputPath, `_audio${audio.container === 'ts' ? '.ts' : '.m4a'}`);
+    await concatenateTrack(audio, audioPath);
+    log.warn(`⚠️  Audio could not be combined without ffmpeg and was saved to: ${audioPath}`);
+  }
+  return videoPath;
+};
+
+// Run fn with a scratch directory next to the output file, removed afterwards
+export const withTempDir = async (outputPath, prefix, fn) => {
+  const outputDir = path.dirname(outputPath);
+  await fsPromises.mkdir(outputDir, { recursive: true });
+  const tempDir = await fsPromises.mkdtemp(path.join(outputDir, prefix));
+  try {
+    return await fn(tempDir);
+  } finally {
+    await fsPromises.rm(tempDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,118 @@
+import { timingSafeEqual } from 'crypto';
+import http from 'http';
+import { parseList } from './list.js';
+
+// REST API of the serve command, answering in JSON:
+//   POST /jobs              enqueue { url } or { list: [...] } with optional { options },
+//                           or a text, CSV or JSON list file as the request body
+//   GET  /jobs              all jobs
+//   GET  /jobs/:id          one job with the results of its videos
+//   POST /jobs/:id/cancel   cancel a job
+//   GET  /files             the files all jobs downloaded
+// With a token, every request needs an "Authorization: Bearer <token>" header.
+
+const MAX_BODY = 1024 * 1024;
+
+const ERROR_STATUSES = {
+  INVALID_JOB: 400,
+  INVALID_URL: 400,
+  INVALID_BODY: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  JOB_FINISHED: 409,
+  BODY_TOO_LARGE: 413
+};
+
+const requestError = (message, code) => Object.assign(new Error(message), { code });
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(`${JSON.stringify(body, null, 2)}\n`);
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  // Oversized bodies are read to the end but dropped, so the client still gets the 413
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(requestError(`Request body exceeds ${MAX_BODY} bytes`, 'BODY_TOO_LARGE'));
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+// Items and options of a new job: a JSON object with url or list, or a list file in the
+// format the Content-Type names (text/csv, application/json, anything else is detected)
+const parseJobRequest = (body, contentType = '') => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  try {
+    if (type === 'application/json') {
+      const data = JSON.parse(body);
+      if (data && !Array.isArray(data) && typeof data === 'object' && (data.url || data.list)) {
+        return { items: data.url ? [data.url] : data.list, options: data.options || {} };
+      }
+      return { items: parseList(body, 'json'), options: {} };
+    }
+    return { items: parseList(body, type === 'text/csv' ? 'csv' : 'auto'), options: {} };
+  } catch (error) {
+    throw requestError(error.message, 'INVALID_BODY');
+  }
+};
+
+const isAuthorized = (request, token) => {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(request.headers.authorization || '');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+// HTTP server for queue (an openJobQueue instance); call listen() on it to start
+export const createApiServer = (queue, { token = null, log } = {}) => http.createServer(async (request, response) => {
+  // The raw target stands in for the path in error messages until it has been parsed
+  let pathname = request.url;
+  try {
+    try {
+      ({ pathname } = new URL(request.url, 'http://localhost'));
+    } catch (error) {
+      throw requestError(`Invalid request target ${request.url}`, 'INVALID_URL');
+    }
+    const segments = pathname.split('/').filter(Boolean);
+    const route = `${request.method} /${segments.map((segment, index) => (index === 1 ? ':id' : segment)).join('/')}`;
+    if (!isAuthorized(request, token)) {
+      throw requestError('Missing or wrong API token', 'UNAUTHORIZED');
+    }
+    switch (route) {
+      case 'POST /jobs': {
+        const { items, options } = parseJobRequest(await readBody(request), request.headers['content-type']);
+        const job = await queue.enqueue(items, options);
+        if (log) {
+          log.info(`📥 Job ${job.id} queued with ${job.items.length} URL(s)`);
+        }
+        return sendJson(response, 201, job);
+      }
+      case 'GET /jobs':
+        return sendJson(response, 200, { jobs: queue.list() });
+      case 'GET /jobs/:id':
+        return sendJson(response, 200, queue.get(segments[1]));
+      case 'POST /jobs/:id/cancel':
+        return sendJson(response, 202, await queue.cancel(segments[1]));
+      case 'GET /files':
+        return sendJson(response, 200, { files: queue.files() });
+      default:
+        throw requestError(`No route for ${request.method} ${pathname}`, 'NOT_FOUND');
+    }
+  } catch (error) {
+    const status = ERROR_STATUSES[error.code] || 500;
+    if (status === 500 && log) {
+      log.error(`API request ${request.method} ${pathname} failed: ${error.message}`);
+    }
+    return sendJson(response, status, { error: { message: error.message, code: error.code || 'INTERNAL_ERROR' } });
+  }
+});
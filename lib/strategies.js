@@ -0,0 +1,232 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { audioFormatFromOptions, extractAudio } from './audio.js';
+import { downloadDash } from './dash.js';
+import { errorCode } from './events.js';
+import { downloadWithFfmpeg } from './ffmpeg.js';
+import { downloadHls } from './hls.js';
+import { downloadDirect } from './http.js';
+import { resolveVideo } from './loom.js';
+import { checkFfmpegAvailability, checkYtDlpAvailability } from './tools.js';
+import { withExtension } from './utils.js';
+import { verifyDownload } from './verify.js';
+import {
+  downloadAudioWithYtDlp,
+  downloadWithAudioExtraction,
+  downloadWithExplicitAudioVideo,
+  downloadWithSeparateStreams,
+  downloadWithYtDlp,
+  downloadWithYtDlpAdvanced,
+  listAvailableFormats
+} from './ytdlp.js';
+
+// Download strategies, tried in order until one produces a file that passes verification.
+// Every strategy has the same shape:
+//   input     'page' for the share URL, 'stream' for the resolved stream URL
+//   tool      external program it needs ('yt-dlp', 'ffmpeg'), a list of them, or null
+//   accepts   optional (url) => whether it can handle this stream URL
+//   video     (url, outputPath, ctx) => path of the written file
+//   audio     (url, audioPath, format, ctx) => path of the written file, for --audio-only
+
+const isHls = (url) => url.includes('.m3u8');
+const isDash = (url) => url.includes('.mpd');
+
+const toolChecks = {
+  'yt-dlp': checkYtDlpAvailability,
+  ffmpeg: checkFfmpegAvailability
+};
+
+// yt-dlp and ffmpeg write to outputPath without reporting it
+const writingTo = (download) => async (url, outputPath, ctx) => {
+  await download(url, outputPath, ctx);
+  return outputPath;
+};
+
+// The built-in clients skip the video when the stream has a separate audio track,
+// direct MP4 downloads always include it
+const builtInAudio = (download) => async (url, audioPath, format, ctx) => {
+  const sourcePath = await download(url, withExtension(audioPath, '.source.mp4'), ctx);
+  return extractAudio(sourcePath, audioPath, format, ctx);
+};
+
+const downloadHttps = writingTo(downloadDirect);
+
+export const STRATEGIES = {
+  'separate-streams': {
+    description: 'yt-dlp downloads video and audio separately, ffmpeg merges them (--merge)',
+    input: 'page',
+    tool: ['yt-dlp', 'ffmpeg'],
+    video: async (url, outputPath, ctx) => {
+      // Only explains missing audio, which the verification catches anyway
+      if (ctx.options.logLevel === 'debug') {
+        const formatInfo = await listAvailableFormats(url, ctx);
+        if (!formatInfo.hasAudio) {
+          ctx.log.warn('⚠️  WARNING: No audio formats detected in available streams!');
+        }
+      }
+      const { outputPath: mergedPath } = await downloadWithSeparateStreams(url, outputPath, ctx);
+      return mergedPath;
+    }
+  },
+  'yt-dlp': {
+    description: 'yt-dlp on the stream URL',
+    input: 'stream',
+    tool: 'yt-dlp',
+    video: writingTo(downloadWithYtDlp),
+    audio: async (url, audioPath, format, ctx) => {
+      await downloadAudioWithYtDlp(url, audioPath, format.name, ctx);
+      return audioPath;
+    }
+  },
+  'yt-dlp-advanced': {
+    description: 'yt-dlp on the share page, merging the best video and audio and writing its own .info.json',
+    input: 'page',
+    tool: 'yt-dlp',
+    video: writingTo(downloadWithYtDlpAdvanced)
+  },
+  'audio-extraction': {
+    description: 'yt-dlp on the share page, re-encoding the audio to AAC while merging',
+    input: 'page',
+    tool: 'yt-dlp',
+    video: writingTo(downloadWithAudioExtraction)
+  },
+  'explicit-av': {
+    description: 'yt-dlp on the share page, combining explicitly selected video and audio formats',
+    input: 'page',
+    tool: 'yt-dlp',
+    video: writingTo(downloadWithExplicitAudioVideo)
+  },
+  hls: {
+    description: 'Built-in HLS client (.m3u8 streams)',
+    input: 'stream',
+    tool: null,
+    accepts: isHls,
+    video: downloadHls,
+    audio: builtInAudio(downloadHls)
+  },
+  ffmpeg: {
+    description: 'ffmpeg reading the HLS stream',
+    input: 'stream',
+    tool: 'ffmpeg',
+    accepts: isHls,
+    video: writingTo(downloadWithFfmpeg)
+  },
+  dash: {
+    description: 'Built-in DASH client (.mpd streams)',
+    input: 'stream',
+    tool: null,
+    accepts: isDash,
+    video: downloadDash,
+    audio: builtInAudio(downloadDash)
+  },
+  https: {
+    description: 'Plain HTTPS download of MP4 stream URLs',
+    input: 'stream',
+    tool: null,
+    accepts: (url) => !isHls(url) && !isDash(url),
+    video: downloadHttps,
+    audio: builtInAudio(downloadHttps)
+  }
+};
+
+// The order used without options.strategy. The other yt-dlp variants only run when named.
+export const DEFAULT_STRATEGIES = ['separate-streams', 'yt-dlp', 'hls', 'ffmpeg', 'dash', 'https'];
+
+// Strategy names from an array or a comma-separated string like "hls,https", in the order
+// they are tried. Throws for unknown names.
+export const parseStrategies = (value) => {
+  if (!value || value.length === 0) {
+    return DEFAULT_STRATEGIES;
+  }
+  const names = (Array.isArray(value) ? value.join(',') : String(value)).split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!STRATEGIES[name]) {
+      throw new Error(`Unknown strategy "${name}", use ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+  }
+  return [...new Set(names)];
+};
+
+// Why a strategy cannot run for this download, or null if it can
+const skipReason = async (strategy, audioOnly, ctx) => {
+  if (audioOnly && !strategy.audio) {
+    return 'no audio-only support';
+  }
+  for (const tool of [].concat(strategy.tool || [])) {
+    if (!(await toolChecks[tool](ctx))) {
+      return `${tool} is not available`;
+    }
+  }
+  return null;
+};
+
+// Download a video with the strategies of options.strategy (default DEFAULT_STRATEGIES).
+// source: { id, pageUrl, video }, where video is the resolved video if there is one already;
+// it is resolved when the first stream strategy runs and left in source.video.
+// Resolves to { outputPath, method, verification, fallbacks }, where method names the
+// strategy that succeeded and fallbacks lists the ones that failed as { method, reason, code }.
+export const downloadWithStrategies = async (source, outputPath, ctx) => {
+  const { log, options } = ctx;
+  const names = parseStrategies(options.strategy);
+  const audioOnly = Boolean(options.audioOnly);
+  const format = audioOnly ? audioFormatFromOptions(options) : null;
+  const targetPath = audioOnly ? withExtension(outputPath, format.ext) : outputPath;
+  await fsPromises.mkdir(path.dirname(targetPath), { recursive: true });
+
+  const fallbacks = [];
+  let lastError = null;
+  for (const name of names) {
+    const strategy = STRATEGIES[name];
+    const reason = await skipReason(strategy, audioOnly, ctx);
+    if (reason) {
+      log.debug(`Skipping the ${name} strategy: ${reason}`);
+      continue;
+    }
+
+    let url = source.pageUrl;
+    if (strategy.input === 'stream') {
+      try {
+        source.video = source.video || await resolveVideo(source.id, ctx);
+      } catch (error) {
+        // Without a stream URL none of the remaining strategies can run
+        throw Object.assign(error, { fallbacks });
+      }
+      url = source.video.url;
+      if (strategy.accepts && !strategy.accepts(url)) {
+        log.debug(`Skipping the ${name} strategy: it does not handle ${url}`);
+        continue;
+      }
+    }
+
+    let writtenPath = null;
+    try {
+      log.info(`Trying the ${name} strategy...`);
+      if (strategy.tool) {
+        // External tools make their own requests, the first one at least counts towards the limit
+        await ctx.rateLimiter.acquire();
+      }
+      writtenPath = audioOnly
+        ? await strategy.audio(url, targetPath, format, ctx)
+        : await strategy.video(url, targetPath, ctx);
+      const expected = { duration: source.video && source.video.metadata.duration, audioOnly };
+      const verification = await verifyDownload(writtenPath, expected, ctx);
+      log.info(`✅ Downloaded ${source.id} with the ${name} strategy`);
+      return { outputPath: writtenPath, method: name, verification, fallbacks };
+    } catch (error) {
+      lastError = error;
+      if (writtenPath && error.code === 'VERIFY_FAILED') {
+        // The next strategy must not find the rejected file, nor resume its .part file
+        await Promise.all([writtenPath, `${writtenPath}.part`].map(file => fsPromises.rm(file, { force: true })));
+      }
+      fallbacks.push({ method: name, reason: error.message, code: errorCode(error) });
+      log.warn(`⚠️  The ${name} strategy failed: ${error.message}`);
+    }
+  }
+
+  if (!lastError) {
+    throw Object.assign(new Error(`None of the strategies (${names.join(', ')}) can download ${source.id}, they need other tools or stream types`), { code: 'NO_STRATEGY', fallbacks });
+  }
+  throw Object.assign(lastError, { fallbacks });
+};
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+
+// Output filename templates such as "{owner}/{date} {title} [{id}].{ext}"
+
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+const MAX_VALUE_LENGTH = 100;
+
+// Make a single path segment safe on Windows, macOS and Linux
+export const sanitizeFilename = (value) => {
+  let name = String(value)
+    .replace(ILLEGAL_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/, '');
+  if (RESERVED_NAMES.test(name)) {
+    name = `_${name}`;
+  }
+  return name || '_';
+};
+
+const formatDate = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+// Placeholder values for a resolved video
+export const templateValues = (video, index, ext = 'mp4') => {
+  const metadata = video.metadata || {};
+  return {
+    id: video.id,
+    title: metadata.title || video.id,
+    owner: metadata.owner || 'unknown',
+    date: formatDate(metadata.createdAt) || 'unknown-date',
+    index: String(index),
+    ext
+  };
+};
+
+// Render a template into a relative path. Values cannot introduce path separators,
+// while "/" in the template itself creates subdirectories.
+export const renderTemplate = (template, values) => {
+  const rendered = template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new Error(`Unknown placeholder ${match} in output template`);
+    }
+    return sanitizeFilename(String(values[name]).slice(0, MAX_VALUE_LENGTH));
+  });
+  const segments = rendered.split(/[\\/]+/).filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`Output template "${template}" does not produce a valid relative path`);
+  }
+  return path.join(...segments.map(sanitizeFilename));
+};
+
+// Append " (2)", " (3)", ... until the path neither exists nor is taken by another
+// download of the same run
+export const reserveOutputPath = (filePath, reserved) => {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  let candidate = filePath;
+  for (let counter = 2; reserved.has(candidate) || fs.existsSync(candidate); counter++) {
+    candidate = `${base} (${counter})${ext}`;
+  }
+  reserved.add(candidate);
+  return candidate;
+};
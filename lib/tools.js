@@ -0,0 +1,72 @@
+import { spawn } from 'child_process';
+import { writeDebugArtifact } from './debug.js';
+
+// Arguments following these flags hold secrets and are masked in debug artifacts
+const SECRET_FLAGS = new Set(['--video-password', '-cookies', '--proxy', '-http_proxy']);
+
+const formatCommand = (command, args) => [command, ...args]
+  .map((arg, index, all) => (index > 0 && SECRET_FLAGS.has(all[index - 1]) ? '***' : arg))
+  .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+  .join(' ');
+
+let toolRuns = 0;
+
+// Spawn yt-dlp, ffmpeg or ffprobe. With options.debugDir set, the command line, stderr and
+// exit code of the run are saved as a debug artifact of the current video.
+export const spawnTool = (ctx, command, args) => {
+  const child = spawn(command, args);
+  if (ctx.options.debugDir) {
+    const name = `${String(++toolRuns).padStart(3, '0')}-${command}.log`;
+    const stderr = [];
+    child.stderr.on('data', data => stderr.push(data));
+    child.on('close', (code) => {
+      writeDebugArtifact(ctx, name, `$ ${formatCommand(command, args)}\n\n${Buffer.concat(stderr)}\nexit code: ${code}\n`);
+    });
+  }
+  return child;
+};
+
+// Install instructions logged when a tool is missing
+const INSTALL_HINTS = {
+  ffmpeg: [
+    'Please install ffmpeg to download M3U8 streams:',
+    'macOS: brew install ffmpeg',
+    'Ubuntu: sudo apt install ffmpeg',
+    'Windows: Download from https://ffmpeg.org/download.html'
+  ],
+  'yt-dlp': [
+    'Install yt-dlp for better video downloading:',
+    'pip install yt-dlp',
+    'or: brew install yt-dlp'
+  ]
+};
+
+// Tools are only looked for once per process, the first check's result is reused
+const toolChecks = new Map();
+
+const checkTool = (command, versionArg, ctx) => {
+  if (!toolChecks.has(command)) {
+    toolChecks.set(command, new Promise((resolve) => {
+      const { log } = ctx;
+      // A missing binary emits 'error' and then 'close', only the first one counts
+      let settled = false;
+      const settle = (available, messages) => {
+        if (!settled) {
+          settled = true;
+          messages.forEach(message => log.debug(message));
+          resolve(available);
+        }
+      };
+      const child = spawn(command, [versionArg]);
+      child.on('error', () => settle(false, [`✗ ${command} is not installed`, ...INSTALL_HINTS[command]]));
+      child.on('close', (code) => settle(code === 0, [code === 0 ? `✓ ${command} is available` : `✗ ${command} is not available or not working properly`]));
+    }));
+  }
+  return toolChecks.get(command);
+};
+
+// Check if ffmpeg is available
+export const checkFfmpegAvailability = (ctx) => checkTool('ffmpeg', '-version', ctx);
+
+// Check if yt-dlp is available
+export const checkYtDlpAvailability = (ctx) => checkTool('yt-dlp', '--version', ctx);
@@ -0,0 +1,134 @@
+import axios from 'axios';
+import { promises as fsPromises } from 'fs';
+import { USER_AGENT } from './constants.js';
+import { queryGraphql } from './graphql.js';
+import { cookieHeaders } from './http.js';
+import { axiosProxy } from './proxy.js';
+import { throttled } from './ratelimit.js';
+import { withExtension } from './utils.js';
+
+// Loom transcripts: locate the caption sources, parse them into cues and write SRT, WebVTT or text
+
+const TRANSCRIPT_QUERY = `query FetchVideoTranscript($videoId: ID!, $password: String) {
+  fetchVideoTranscript(videoId: $videoId, password: $password) {
+    ... on VideoTranscriptDetails {
+      id
+      video_id
+      source_url
+      captions_source_url
+    }
+    ... on GenericError {
+      message
+    }
+  }
+}`;
+
+// Transcript details embedded in the share page's Apollo state, if any
+export const findTranscriptSources = (apolloState, id) => {
+  if (!apolloState) {
+    return null;
+  }
+  const entries = Object.keys(apolloState)
+    .filter(key => key.startsWith('VideoTranscriptDetails:'))
+    .map(key => apolloState[key])
+    .filter(entry => entry && (entry.captions_source_url || entry.source_url));
+  const details = entries.find(entry => entry.video_id === id) || entries[0];
+  return details ? { captionsUrl: details.captions_source_url || null, sourceUrl: details.source_url || null } : null;
+};
+
+const queryTranscriptSources = async (id, ctx) => {
+  const data = await queryGraphql('FetchVideoTranscript', TRANSCRIPT_QUERY, { videoId: id, password: ctx.options.password || null }, ctx);
+  const details = data.fetchVideoTranscript;
+  if (!details || details.message) {
+    throw new Error(details && details.message ? details.message : 'No transcript available for this video');
+  }
+  return { captionsUrl: details.captions_source_url || null, sourceUrl: details.source_url || null };
+};
+
+const parseTimestamp = (value) => {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Parse WebVTT cues, ignoring the header, NOTE and STYLE blocks
+export const parseVtt = (text) => {
+  const cues = [];
+  for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      continue;
+    }
+    const [start, end] = lines[timingIndex].split('-->');
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+    if (cueText) {
+      cues.push({ start: parseTimestamp(start), end: parseTimestamp(end.trim().split(/\s+/)[0]), text: cueText });
+    }
+  }
+  return cues;
+};
+
+// Parse Loom's JSON transcript, where each phrase only carries its start time
+export const parseTranscriptJson = (transcript) => {
+  const phrases = (transcript && transcript.phrases) || [];
+  return phrases
+    .filter(phrase => phrase.value && phrase.value.trim())
+    .map((phrase, index, list) => {
+      const start = Number(phrase.ts) || 0;
+      const next = list[index + 1];
+      return { start, end: next ? Number(next.ts) : start + 3, text: phrase.value.trim() };
+    });
+};
+
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+export const toSrt = (cues) => cues
+  .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+  .join('\n');
+
+export const toVtt = (cues) => `WEBVTT\n\n${cues
+  .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+  .join('\n')}`;
+
+export const toText = (cues) => `${cues.map(cue => cue.text.replace(/\n/g, ' ')).join('\n')}\n`;
+
+// Fetch the transcript of a resolved video as a list of { start, end, text } cues
+export const fetchTranscript = async (video, ctx) => {
+  const { log } = ctx;
+  const sources = video.transcriptSources || await queryTranscriptSources(video.id, ctx);
+  if (sources.captionsUrl) {
+    log.info('📝 Downloading captions...');
+    const { data } = await throttled(ctx, () => axios.get(sources.captionsUrl, { responseType: 'text', timeout: 30000, headers: { 'User-Agent': USER_AGENT, ...cookieHeaders(sources.captionsUrl, ctx) }, ...axiosProxy(sources.captionsUrl, ctx.options) }));
+    return parseVtt(data);
+  }
+  if (sources.sourceUrl) {
+    log.info('📝 Downloading transcript...');
+    const { data } = await throttled(ctx, () => axios.get(sources.sourceUrl, { timeout: 30000, headers: { 'User-Agent': USER_AGENT, ...cookieHeaders(sources.sourceUrl, ctx) }, ...axiosProxy(sources.sourceUrl, ctx.options) }));
+    return parseTranscriptJson(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+  throw new Error('No transcript available for this video');
+};
+
+// Write .srt and .vtt (and optionally .txt) next to a download, resolving to the written paths
+export const writeSubtitles = async (outputPath, cues, { text = false } = {}) => {
+  if (cues.length === 0) {
+    throw new Error('Transcript is empty');
+  }
+  const files = [
+    [withExtension(outputPath, '.srt'), toSrt(cues)],
+    [withExtension(outputPath, '.vtt'), toVtt(cues)]
+  ];
+  if (text) {
+    files.push([withExtension(outputPath, '.txt'), toText(cues)]);
+  }
+  await Promise.all(files.map(([file, content]) => fsPromises.writeFile(file, content)));
+  return files.map(([file]) => file);
+};
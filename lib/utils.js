@@ -0,0 +1,39 @@
+import path from 'path';
+
+// Retry fn with exponential delays; onRetry(error, { retriesLeft, delay }) runs before each wait.
+// Errors carrying retryAfter (ms, from a 429 response) wait at least that long, errors
+// retryable(error) rejects fail right away.
+export const backoff = (retries, fn, delay = 1000, onRetry = () => {}, retryable = () => true) => fn().catch(err => {
+  if (retries > 1 && delay <= 32000 && retryable(err)) {
+    const wait = Math.max(delay, err.retryAfter || 0);
+    onRetry(err, { retriesLeft: retries - 1, delay: wait });
+    return new Promise(resolve => setTimeout(resolve, wait)).then(() => backoff(retries - 1, fn, delay * 2, onRetry, retryable));
+  }
+  return Promise.reject(err);
+});
+
+export const delay = (duration) => {
+  return new Promise(resolve => setTimeout(resolve, duration));
+};
+
+// Helper function to control concurrency
+export async function asyncPool(poolLimit, array, iteratorFn) {
+  const ret = [];
+  const executing = [];
+  for (const item of array) {
+    const p = Promise.resolve().then(() => iteratorFn(item, array));
+    ret.push(p);
+
+    if (poolLimit <= array.length) {
+      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
+      executing.push(e);
+      if (executing.length >= poolLimit) {
+        await Promise.race(executing);
+      }
+    }
+  }
+  return Promise.all(ret);
+}
+
+// Replace the extension of a file path, e.g. video.mp4 -> video.info.json
+export const withExtension = (filePath, ext) => path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}${ext}`);
@@ -0,0 +1,81 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { analyzeVideoFile } from './ffmpeg.js';
+import { probeMp4 } from './mp4.js';
+
+// Post-download checks: the container parses, video and audio streams are present and the
+// duration matches the page metadata. Uses ffprobe, or the built-in MP4 parser without it.
+// Loom does not say whether a recording has sound, so a video without audio only gets a
+// warning: silent recordings exist, and rejecting them would fail every strategy.
+
+// Durations may differ by a few frames and are rounded on the page
+const DURATION_TOLERANCE_SECONDS = 3;
+const DURATION_TOLERANCE_RATIO = 0.03;
+
+const MP4_EXTENSIONS = new Set(['.mp4', '.m4a', '.m4v', '.mov']);
+
+const verificationError = (message, problems) => Object.assign(new Error(message), { code: 'VERIFY_FAILED', problems });
+
+const probe = async (filePath, ctx) => {
+  try {
+    return await analyzeVideoFile(filePath, ctx);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  if (!MP4_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+  return probeMp4(filePath);
+};
+
+// Verify a finished download. expected: { duration (seconds), audioOnly }.
+// Resolves to { videoStreams, audioStreams, duration, warnings } or null when the file
+// could not be inspected, and throws a VERIFY_FAILED error listing the problems otherwise.
+export const verifyDownload = async (filePath, expected, ctx) => {
+  const { log, options } = ctx;
+  if (options.verify === false) {
+    return null;
+  }
+
+  const { size } = await fsPromises.stat(filePath);
+  if (size === 0) {
+    throw verificationError(`${filePath} is empty`, ['empty file']);
+  }
+
+  let analysis;
+  try {
+    analysis = await probe(filePath, ctx);
+  } catch (error) {
+    throw verificationError(`${filePath} is not a valid media file: ${error.message}`, ['container does not parse']);
+  }
+  if (!analysis) {
+    log.debug(`Skipping verification of ${filePath}, neither ffprobe nor the built-in parser can read it`);
+    return null;
+  }
+
+  const problems = [];
+  if (!expected.audioOnly && analysis.videoStreams === 0) {
+    problems.push('no video stream');
+  }
+  const warnings = [];
+  if (analysis.audioStreams === 0) {
+    (expected.audioOnly ? problems : warnings).push('no audio stream');
+  }
+  if (expected.duration && analysis.duration) {
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, expected.duration * DURATION_TOLERANCE_RATIO);
+    if (Math.abs(analysis.duration - expected.duration) > tolerance) {
+      problems.push(`duration ${analysis.duration.toFixed(1)}s instead of ${expected.duration}s`);
+    }
+  }
+  if (problems.length > 0) {
+    throw verificationError(`Verification of ${filePath} failed: ${problems.join(', ')}`, problems);
+  }
+
+  if (warnings.length > 0) {
+    log.warn(`⚠️  ${path.basename(filePath)} has no audio stream, the recording may be silent`);
+  }
+  log.info(`🔎 Verified ${path.basename(filePath)}: ${analysis.videoStreams} video, ${analysis.audioStreams} audio stream(s)${analysis.duration ? `, ${analysis.duration.toFixed(1)}s` : ''}`);
+  return { videoStreams: analysis.videoStreams, audioStreams: analysis.audioStreams, duration: analysis.duration, warnings };
+};
@@ -0,0 +1,105 @@
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+import { readList } from './list.js';
+
+// Watch mode: keep running and download what is added to a list file, or to the list
+// files of a drop folder, whenever they change
+
+export const LIST_EXTENSIONS = ['.txt', '.csv', '.tsv', '.json'];
+
+// Editors and sync tools write files in bursts, so a change is read once they are quiet
+const SETTLE_TIME = 1000;
+
+const isListFile = (name) => LIST_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !name.startsWith('.');
+
+// Entries of a list file, or of every list file in a directory in name order
+export const readListSource = async (source, format = 'auto') => {
+  if (source === '-' || !(await fsPromises.stat(source)).isDirectory()) {
+    return readList(source, format);
+  }
+  const names = (await fsPromises.readdir(source)).filter(isListFile).sort();
+  const lists = [];
+  for (const name of names) {
+    lists.push(...await readList(path.join(source, name), format));
+  }
+  return lists;
+};
+
+// Download every entry of source with downloader (a createDownloader instance), then each
+// entry that appears after a change. Entries are only downloaded once per run, and the
+// manifest skips the videos downloaded before. Resolves to { close }, which stops
+// watching once the current downloads have finished.
+export const watchList = async (source, downloader, { format = 'auto', log }) => {
+  const directory = (await fsPromises.stat(source)).isDirectory();
+  const seen = new Set();
+
+  const scan = async () => {
+    let entries;
+    try {
+      entries = await readListSource(source, format);
+    } catch (error) {
+      // A file caught halfway through being written is read again on its next change
+      log.warn(`⚠️  Could not read ${source}: ${error.message}`);
+      return;
+    }
+    const added = entries.filter((entry) => {
+      const key = JSON.stringify(entry);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+    if (added.length > 0) {
+      log.info(`🆕 ${added.length} new ${added.length === 1 ? 'entry' : 'entries'} in ${source}`);
+      try {
+        await downloader.downloadMany(added);
+      } catch (error) {
+        // E.g. an unreadable manifest: the entries get another chance on the next change
+        log.error(`Downloading the new entries of ${source} failed: ${error.message}`);
+        added.forEach(entry => seen.delete(JSON.stringify(entry)));
+      }
+      log.info(`👀 Watching ${source} for new URLs...`);
+    }
+  };
+
+  // Changes during a scan lead to one more scan after it
+  let scanning = null;
+  let changedWhileScanning = false;
+  const runScan = () => {
+    if (scanning) {
+      changedWhileScanning = true;
+      return;
+    }
+    scanning = scan().catch((error) => {
+      log.error(`Scanning ${source} failed: ${error.message}`);
+    }).finally(() => {
+      scanning = null;
+      if (changedWhileScanning) {
+        changedWhileScanning = false;
+        runScan();
+      }
+    });
+  };
+
+  // A single file is watched through its directory, as editors often replace it
+  let timer = null;
+  const watcher = fs.watch(directory ? source : path.dirname(path.resolve(source)), (event, filename) => {
+    const relevant = !filename || (directory ? isListFile(filename) : filename === path.basename(source));
+    if (relevant) {
+      clearTimeout(timer);
+      timer = setTimeout(runScan, SETTLE_TIME);
+    }
+  });
+  watcher.on('error', error => log.error(`Watching ${source} failed: ${error.message}`));
+
+  runScan();
+  return {
+    close: async () => {
+      watcher.close();
+      clearTimeout(timer);
+      changedWhileScanning = false;
+      await scanning;
+    }
+  };
+};
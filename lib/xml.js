@@ -0,0 +1,65 @@
+// Small XML reader for DASH manifests: elements, attributes and text only.
+// Namespace prefixes are dropped so <mpd:Period> and <Period> read the same.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseTagAttributes = (input) => {
+  const attributes = {};
+  const attributeRegex = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributeRegex.exec(input)) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+export const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        throw new Error(`Malformed XML: unexpected </${closing}>`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (opening) {
+      const element = { name: localName(opening), attributes: parseTagAttributes(attributes), children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  const documentElement = root.children[0];
+  if (!documentElement) {
+    throw new Error('Malformed XML: no root element');
+  }
+  return documentElement;
+};
+
+export const childElements = (element, name) => element.children.filter(child => child.name === name);
+
+export const childElement = (element, name) => element.children.find(child => child.name === name) || null;
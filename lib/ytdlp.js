@@ -0,0 +1,538 @@
+import { promises as fsPromises } from 'fs';
+import { USER_AGENT } from './constants.js';
+import { mergeStreams } from './ffmpeg.js';
+import { YT_DLP_PROGRESS_ARGS, ytDlpProgress } from './progress.js';
+import { ytDlpProxyArgs } from './proxy.js';
+import { qualityFromOptions, ytDlpFormat } from './quality.js';
+import { spawnTool } from './tools.js';
+
+// yt-dlp reads cookies from a Netscape file, exported from the context's jar.
+// A temporary copy keeps yt-dlp from rewriting the user's own cookies file.
+// The share password of protected videos is passed along with them, as is the proxy for
+// videoUrl, and options.rateLimit becomes a pause between yt-dlp's own requests.
+const sessionArgs = async (videoUrl, ctx) => [
+  ...(ctx.cookieJar.size > 0 ? ['--cookies', await ctx.cookieJar.exportFile()] : []),
+  ...ytDlpProxyArgs(videoUrl, ctx.options),
+  ...(ctx.options.password ? ['--video-password', ctx.options.password] : []),
+  ...(ctx.options.rateLimit > 0 ? ['--sleep-requests', String(60 / ctx.options.rateLimit)] : [])
+];
+
+// yt-dlp's own debug output is only useful when it ends up in the debug log or artifacts
+const verboseArgs = (ctx) => (ctx.options.logLevel === 'debug' || ctx.options.debugDir ? ['--verbose'] : []);
+
+// Errors and warnings of yt-dlp stay visible, the rest of its output is debug logging
+const logOutput = (log, label, output) => {
+  for (const line of String(output).split(/\r?\n/).filter(line => line.trim())) {
+    if (/^(ERROR|WARNING):/.test(line)) {
+      log.warn(`${label}: ${line}`);
+    } else {
+      log.debug(`${label}: ${line}`);
+    }
+  }
+};
+
+// --format value for the requested --quality
+const formatFor = (ctx, kind) => ytDlpFormat(qualityFromOptions(ctx.options), kind);
+
+// Download with yt-dlp as alternative
+export const downloadWithYtDlp = async (videoUrl, outputPath, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info('Attempting download with yt-dlp...');
+    const session = await sessionArgs(videoUrl, ctx);
+    
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'file'), // Ensure we get the requested quality with audio
+        '--merge-output-format', 'mp4', // Merge audio and video into MP4
+        ...verboseArgs(ctx),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', outputPath,
+        videoUrl
+      ]);
+
+      const reportDownloadProgress = ytDlpProgress(ctx, 'download');
+      ytdlp.stdout.on('data', (data) => {
+        const output = reportDownloadProgress(data);
+        logOutput(log, 'yt-dlp', output);
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        logOutput(log, 'yt-dlp', data);
+      });
+
+      ytdlp.on('close', (code) => {
+        if (code === 0) {
+          log.info(`Download completed successfully with yt-dlp`);
+          resolve();
+        } else {
+          reject(new Error(`yt-dlp exited with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`yt-dlp error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error during yt-dlp download: ${error.message}`);
+    throw error;
+  }
+};
+
+// Alternative download method with explicit audio/video handling
+export const downloadWithYtDlpAdvanced = async (videoUrl, outputPath, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info('Attempting advanced download with yt-dlp (separate audio/video handling)...');
+    const session = await sessionArgs(videoUrl, ctx);
+    
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'merged'), // Try to get separate video and audio streams
+        '--merge-output-format', 'mp4',
+        '--no-check-certificate', // Skip SSL certificate verification
+        '--no-playlist', // Don't download playlist
+        '--write-info-json', // Write metadata for debugging
+        ...verboseArgs(ctx),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', outputPath,
+        videoUrl
+      ]);
+
+      const reportDownloadProgress = ytDlpProgress(ctx, 'download');
+      ytdlp.stdout.on('data', (data) => {
+        const output = reportDownloadProgress(data);
+        logOutput(log, 'yt-dlp advanced', output);
+        
+        // Look for audio stream information in the output
+        if (output.includes('audio')) {
+          log.info('🔊 Audio stream detected in yt-dlp output!');
+        }
+        if (output.includes('video')) {
+          log.info('📹 Video stream detected in yt-dlp output!');
+        }
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        const output = data.toString();
+        logOutput(log, 'yt-dlp advanced', output);
+        
+        // Look for format information
+        if (output.includes('format')) {
+          log.info('📋 Format information detected');
+        }
+      });
+
+      ytdlp.on('close', (code) => {
+        if (code === 0) {
+          log.info(`Advanced download completed successfully with yt-dlp`);
+          resolve();
+        } else {
+          reject(new Error(`yt-dlp advanced exited with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`yt-dlp advanced error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error during yt-dlp advanced download: ${error.message}`);
+    throw error;
+  }
+};
+
+// Function to list available formats for debugging
+export const listAvailableFormats = async (videoUrl, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info('🔍 Checking available formats and audio streams...');
+    const session = await sessionArgs(videoUrl, ctx);
+    
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--list-formats',
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        ...verboseArgs(ctx),
+        videoUrl
+      ]);
+
+      let output = '';
+      let hasAudioFormats = false;
+      let hasVideoFormats = false;
+      
+      ytdlp.stdout.on('data', (data) => {
+        const chunk = data.toString();
+        output += chunk;
+        log.debug(`Available formats: ${chunk}`);
+        
+        // Check for audio and video formats
+        if (chunk.toLowerCase().includes('audio') || chunk.includes('m4a') || chunk.includes('aac')) {
+          hasAudioFormats = true;
+          log.info('🔊 AUDIO FORMAT DETECTED!');
+        }
+        if (chunk.toLowerCase().includes('video') || chunk.includes('mp4') || chunk.includes('m3u8')) {
+          hasVideoFormats = true;
+          log.info('📹 VIDEO FORMAT DETECTED!');
+        }
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        const chunk = data.toString();
+        log.debug(`Format check: ${chunk}`);
+        
+        if (chunk.includes('Available formats')) {
+          log.info('📋 Format listing started');
+        }
+      });
+
+      ytdlp.on('close', (code) => {
+        log.info('=== FORMAT ANALYSIS SUMMARY ===');
+        log.info(`Audio formats available: ${hasAudioFormats ? '✅ YES' : '❌ NO'}`);
+        log.info(`Video formats available: ${hasVideoFormats ? '✅ YES' : '❌ NO'}`);
+        log.info('===============================');
+        
+        if (code === 0) {
+          log.info('Format check completed');
+          resolve({
+            output,
+            hasAudio: hasAudioFormats,
+            hasVideo: hasVideoFormats
+          });
+        } else {
+          reject(new Error(`Format check failed with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`Format check error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error checking formats: ${error.message}`);
+    throw error;
+  }
+};
+
+// Download with explicit audio extraction and merging
+export const downloadWithAudioExtraction = async (videoUrl, outputPath, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info('🎵 Attempting download with explicit audio extraction...');
+    const session = await sessionArgs(videoUrl, ctx);
+    
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'merged'), // Explicitly try to get separate streams
+        '--merge-output-format', 'mp4',
+        '--postprocessor-args', 'ffmpeg:-c:v copy -c:a aac', // Ensure audio is properly encoded
+        ...verboseArgs(ctx),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', outputPath,
+        videoUrl
+      ]);
+
+      const reportDownloadProgress = ytDlpProgress(ctx, 'download');
+      ytdlp.stdout.on('data', (data) => {
+        const output = reportDownloadProgress(data);
+        logOutput(log, 'yt-dlp audio extraction', output);
+        
+        if (output.includes('Merging formats')) {
+          log.info('🔄 MERGING AUDIO AND VIDEO STREAMS!');
+        }
+        if (output.includes('audio')) {
+          log.info('🔊 Audio processing detected!');
+        }
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        const output = data.toString();
+        logOutput(log, 'yt-dlp audio extraction', output);
+      });
+
+      ytdlp.on('close', (code) => {
+        if (code === 0) {
+          log.info(`Audio extraction download completed successfully`);
+          resolve();
+        } else {
+          reject(new Error(`yt-dlp audio extraction exited with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`yt-dlp audio extraction error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error during audio extraction download: ${error.message}`);
+    throw error;
+  }
+};
+
+// Download with explicit audio and video stream combination for Loom
+export const downloadWithExplicitAudioVideo = async (videoUrl, outputPath, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info('🎬 Attempting download with explicit audio+video combination...');
+    const session = await sessionArgs(videoUrl, ctx);
+    
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'explicit'), // Explicitly combine audio with video
+        '--merge-output-format', 'mp4',
+        ...verboseArgs(ctx),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', outputPath,
+        videoUrl
+      ]);
+
+      const reportDownloadProgress = ytDlpProgress(ctx, 'download');
+      ytdlp.stdout.on('data', (data) => {
+        const output = reportDownloadProgress(data);
+        logOutput(log, 'yt-dlp explicit A+V', output);
+        
+        if (output.includes('Merging formats')) {
+          log.info('🔄 MERGING AUDIO AND VIDEO STREAMS!');
+        }
+        if (output.includes('audio')) {
+          log.info('🔊 Audio processing detected!');
+        }
+        if (output.includes('video')) {
+          log.info('📹 Video processing detected!');
+        }
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        const output = data.toString();
+        logOutput(log, 'yt-dlp explicit A+V', output);
+      });
+
+      ytdlp.on('close', (code) => {
+        if (code === 0) {
+          log.info(`Explicit audio+video download completed successfully`);
+          resolve();
+        } else {
+          reject(new Error(`yt-dlp explicit A+V exited with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`yt-dlp explicit A+V error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error during explicit A+V download: ${error.message}`);
+    throw error;
+  }
+};
+
+// Download video and audio separately, then merge them into outputPath
+// (options.merge: 'copy' or 'reencode'; options.keepIntermediates keeps the pieces)
+export const downloadWithSeparateStreams = async (videoUrl, outputPath, ctx) => {
+  const { log } = ctx;
+  let intermediates = [];
+  try {
+    log.info('🎬 Downloading video and audio streams separately...');
+    const session = await sessionArgs(videoUrl, ctx);
+    const path = await import('path');
+    
+    const outputDir = path.dirname(outputPath);
+    const baseName = path.basename(outputPath, path.extname(outputPath));
+    const finalOutput = path.extname(outputPath) ? outputPath : `${outputPath}.mp4`;
+    const videoOutput = path.join(outputDir, `${baseName}_video.mp4`);
+    const audioOutput = path.join(outputDir, `${baseName}_audio.mp4`);
+    intermediates = [videoOutput, audioOutput];
+    
+    // Download video stream
+    log.info('📹 Downloading video stream...');
+    await new Promise((resolve, reject) => {
+      const ytdlpVideo = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'video'),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', videoOutput,
+        videoUrl
+      ]);
+
+      const reportVideoProgress = ytDlpProgress(ctx, 'video');
+      ytdlpVideo.stdout.on('data', (data) => {
+        const output = reportVideoProgress(data);
+        logOutput(log, '📹 Video', output);
+      });
+
+      ytdlpVideo.stderr.on('data', (data) => {
+        logOutput(log, '📹 Video', data);
+      });
+
+      ytdlpVideo.on('close', (code) => {
+        if (code === 0) {
+          log.info(`✅ Video stream saved to: ${videoOutput}`);
+          resolve();
+        } else {
+          reject(new Error(`Video download failed with code ${code}`));
+        }
+      });
+
+      ytdlpVideo.on('error', (err) => {
+        reject(err);
+      });
+    });
+    
+    // Download audio stream
+    log.info('🔊 Downloading audio stream...');
+    await new Promise((resolve, reject) => {
+      const ytdlpAudio = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'audio'),
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', audioOutput,
+        videoUrl
+      ]);
+
+      const reportAudioProgress = ytDlpProgress(ctx, 'audio');
+      ytdlpAudio.stdout.on('data', (data) => {
+        const output = reportAudioProgress(data);
+        logOutput(log, '🔊 Audio', output);
+      });
+
+      ytdlpAudio.stderr.on('data', (data) => {
+        logOutput(log, '🔊 Audio', data);
+      });
+
+      ytdlpAudio.on('close', (code) => {
+        if (code === 0) {
+          log.info(`✅ Audio stream saved to: ${audioOutput}`);
+          resolve();
+        } else {
+          reject(new Error(`Audio download failed with code ${code}`));
+        }
+      });
+
+      ytdlpAudio.on('error', (err) => {
+        reject(err);
+      });
+    });
+    
+    log.info('🎉 Separate streams download completed successfully!');
+    log.info(`📹 Video file: ${videoOutput}`);
+    log.info(`🔊 Audio file: ${audioOutput}`);
+    
+    // Combine video and audio into the requested output file
+    await mergeStreams(videoOutput, audioOutput, finalOutput, ctx.options.merge || 'copy', ctx);
+
+    log.info('🎉 Video download and combination completed successfully!');
+    if (ctx.options.keepIntermediates) {
+      log.info('📁 Separate files preserved:');
+      log.info(`📹 Video file: ${videoOutput}`);
+      log.info(`🔊 Audio file: ${audioOutput}`);
+      return { outputPath: finalOutput, videoOutput, audioOutput };
+    }
+    return { outputPath: finalOutput };
+  } catch (error) {
+    log.error(`Error during separate streams download: ${error.message}`);
+    throw error;
+  } finally {
+    // Failed attempts leave their pieces (and yt-dlp's .part files) behind as well
+    if (!ctx.options.keepIntermediates) {
+      await Promise.all(intermediates.flatMap(file => [file, `${file}.part`]).map(file => fsPromises.rm(file, { force: true })));
+    }
+  }
+};
+
+// Download only the audio stream and convert it to audioFormat (m4a, mp3, opus or wav).
+// yt-dlp picks the extension itself, so outputPath must already carry the right one.
+export const downloadAudioWithYtDlp = async (videoUrl, outputPath, audioFormat, ctx) => {
+  const { log } = ctx;
+  try {
+    log.info(`🎵 Downloading audio only with yt-dlp (${audioFormat})...`);
+    const path = await import('path');
+    const session = await sessionArgs(videoUrl, ctx);
+    const outputTemplate = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.%(ext)s`);
+
+    return new Promise((resolve, reject) => {
+      const ytdlp = spawnTool(ctx, 'yt-dlp', [
+        '--user-agent', USER_AGENT,
+        '--referer', 'https://www.loom.com/',
+        ...session,
+        '--add-header', 'Accept:*/*',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--format', formatFor(ctx, 'extract'),
+        '--extract-audio',
+        '--audio-format', audioFormat,
+        '--force-overwrites',
+        ...YT_DLP_PROGRESS_ARGS,
+        '-o', outputTemplate,
+        videoUrl
+      ]);
+
+      const reportAudioProgress = ytDlpProgress(ctx, 'audio');
+      ytdlp.stdout.on('data', (data) => {
+        const output = reportAudioProgress(data);
+        logOutput(log, '🎵 yt-dlp audio', output);
+      });
+
+      ytdlp.stderr.on('data', (data) => {
+        logOutput(log, '🎵 yt-dlp audio', data);
+      });
+
+      ytdlp.on('close', (code) => {
+        if (code === 0) {
+          log.info(`✅ Audio saved to: ${outputPath}`);
+          resolve();
+        } else {
+          reject(new Error(`yt-dlp audio download exited with code ${code}`));
+        }
+      });
+
+      ytdlp.on('error', (err) => {
+        log.error(`yt-dlp audio error: ${err.message}`);
+        reject(err);
+      });
+    });
+  } catch (error) {
+    log.error(`Error during yt-dlp audio download: ${error.message}`);
+    throw error;
+  }
+};
@@ -1,25 +1,59 @@
 #!/usr/bin/env node
-import axios from 'axios';
-import fs, { promises as fsPromises } from 'fs';
-import https from 'https';
-import path, { dirname } from 'path';
-import { fileURLToPath } from 'url';
+import fs from 'fs';
+import path from 'path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { createDownloader, DEFAULT_STRATEGIES, JSON_EVENTS, LIST_FORMATS, parseCollectionUrl, parseQuality, parseStrategies, parseVideoUrl, STRATEGIES, toJsonEvent } from './index.js';
+import { LOOM_ORIGIN } from './lib/constants.js';
+import { createContext } from './lib/context.js';
+import { createProgressDisplay } from './lib/display.js';
+import { openJobQueue, QUEUE_FILE } from './lib/jobs.js';
+import { testNetworkConnectivity } from './lib/loom.js';
+import { PACKAGE_ROOT } from './lib/paths.js';
+import { parseProxyUrl, proxyFor, redactProxy } from './lib/proxy.js';
+import { createApiServer } from './lib/server.js';
+import { readListSource, watchList } from './lib/watch.js';
+import { checkFfmpegAvailability, checkYtDlpAvailability } from './lib/tools.js';
 
 const argv = yargs(hideBin(process.argv))
+  .command('serve', 'Run a download daemon with an HTTP API and a persistent job queue, downloading into --out', yargs => yargs
+    .option('port', {
+      type: 'number',
+      default: 8080,
+      description: 'Port of the HTTP API'
+    })
+    .option('host', {
+      type: 'string',
+      default: '127.0.0.1',
+      description: 'Address the HTTP API listens on; use 0.0.0.0 to accept other machines'
+    })
+    .option('token', {
+      type: 'string',
+      description: 'Require "Authorization: Bearer <token>" on every API request (default: $LOOM_DL_TOKEN)'
+    })
+    .option('queue-file', {
+      type: 'string',
+      description: `Job queue file (default: ${QUEUE_FILE} in --out)`
+    }))
   .option('url', {
     alias: 'u',
     type: 'string',
-    description: 'Url of the video in the format https://www.loom.com/share/[ID]'
+    description: 'Url of the video in the format https://www.loom.com/share/[ID], or of a folder or space to download all of its videos'
   })
   .option('list', {
     alias: 'l',
     type: 'string',
-    description: 'Filename of the text file containing the list of URLs'
+    description: 'List of URLs (videos, folders or spaces) to download: a text file with one URL per line, a CSV or JSON file with url, name, subdir, password and tags columns, a directory of such files, or - to read it from stdin'
+  })
+  .option('watch', {
+    alias: 'w',
+    type: 'boolean',
+    description: 'With --list, keep running and download the URLs added to the list file, or to the list files of the --list directory, whenever they change'
+  })
+  .option('list-format', {
+    choices: LIST_FORMATS,
+    default: 'auto',
+    description: 'Format of the --list file; auto detects it from the extension or the content'
   })
   .option('prefix', {
     alias: 'p',
@@ -31,1057 +65,376 @@ const argv = yargs(hideBin(process.argv))
     type: 'string',
     description: 'Path to output the file to or directory to output files when using --list'
   })
-  .option('timeout', {
-    alias: 't',
+  .option('concurrency', {
+    type: 'number',
+    default: 5,
+    description: 'Number of videos downloaded at the same time when using --list'
+  })
+  .option('delay', {
+    alias: ['timeout', 't'],
+    type: 'number',
+    default: 5000,
+    description: 'Milliseconds to wait after each download when using --list (--timeout is the old name)'
+  })
+  .option('jitter', {
     type: 'number',
-    description: 'Timeout in milliseconds to wait between downloads when using --list'
+    default: 1000,
+    description: 'Random extra wait of up to this many milliseconds on top of --delay'
+  })
+  .option('rate-limit', {
+    type: 'number',
+    description: 'Maximum number of requests per minute across all downloads, including page fetches; yt-dlp pauses accordingly between its own requests'
+  })
+  .option('output-template', {
+    type: 'string',
+    description: 'Filename template relative to --out, e.g. "{owner}/{date} {title} [{id}].{ext}". Placeholders: {title}, {id}, {owner}, {date}, {index}, {ext}'
+  })
+  .option('write-info-json', {
+    type: 'boolean',
+    description: 'Write video metadata (title, owner, date, duration, ...) to a .info.json file next to each download'
+  })
+  .option('subtitles', {
+    type: 'boolean',
+    description: 'Download the transcript and save it as .srt and .vtt next to each video'
+  })
+  .option('transcript-text', {
+    type: 'boolean',
+    description: 'With --subtitles, also save the transcript as plain text (.txt)'
+  })
+  .option('cookies', {
+    type: 'string',
+    description: 'Netscape cookies.txt file with your Loom session, for private workspace videos. Cookies set by Loom are written back to it'
+  })
+  .option('proxy', {
+    type: 'string',
+    description: 'Proxy for all connections, including yt-dlp and ffmpeg: http://, https://, socks5:// or socks5h://, optionally with user:password@. Defaults to HTTPS_PROXY/HTTP_PROXY/ALL_PROXY; hosts in NO_PROXY are reached directly. --no-proxy ignores the environment'
+  })
+  .option('password', {
+    type: 'string',
+    description: 'Password for password protected shares. In --list files a password can follow the URL on the same line, or go in a password column'
+  })
+  .option('quality', {
+    type: 'string',
+    default: 'best',
+    description: 'Quality to download: best, worst, a maximum height like 720p or a maximum bitrate like 1500k'
+  })
+  .option('audio-only', {
+    type: 'boolean',
+    description: 'Download only the audio, skipping the video wherever the stream allows it'
+  })
+  .option('audio-format', {
+    type: 'string',
+    choices: ['m4a', 'mp3', 'opus', 'wav'],
+    default: 'm4a',
+    description: 'Audio format for --audio-only; anything but m4a needs ffmpeg'
+  })
+  .option('merge', {
+    type: 'string',
+    choices: ['copy', 'reencode'],
+    default: 'copy',
+    description: 'How separately downloaded video and audio are combined: fast stream copy, or a re-encode that also fixes out-of-sync streams'
+  })
+  .option('keep-intermediates', {
+    type: 'boolean',
+    description: 'Keep the separate _video.mp4 and _audio.mp4 files after merging'
+  })
+  .option('list-formats', {
+    type: 'boolean',
+    description: 'List the available formats of --url, marking the ones --quality selects, without downloading'
+  })
+  .option('strategy', {
+    type: 'string',
+    description: `Download strategies to try, in this order and no others, e.g. "hls,https". Available: ${Object.keys(STRATEGIES).join(', ')}. Default: ${DEFAULT_STRATEGIES.join(', ')}`
+  })
+  .option('verify', {
+    type: 'boolean',
+    default: true,
+    description: 'Check every download for a readable container, video and audio streams and the expected duration, trying the next download method if it fails. Disable with --no-verify'
+  })
+  .option('retry-failed', {
+    type: 'boolean',
+    description: 'With --list, also download the videos the manifest records as failed'
+  })
+  .option('force', {
+    type: 'boolean',
+    description: 'With --list, download every video again, even if the manifest records it as downloaded'
+  })
+  .option('quiet', {
+    alias: 'q',
+    type: 'boolean',
+    description: 'Only print warnings and errors, without progress bars'
+  })
+  .option('verbose', {
+    alias: 'v',
+    type: 'boolean',
+    description: 'Also print debug messages, including the output of yt-dlp and ffmpeg'
+  })
+  .option('debug', {
+    type: 'boolean',
+    description: 'Like --verbose, and save the page HTML, Apollo state and yt-dlp/ffmpeg runs of every video to --debug-dir'
+  })
+  .option('debug-dir', {
+    type: 'string',
+    default: 'loom-dl-debug',
+    description: 'Directory for the --debug files, with one subdirectory per video ID'
   })
+  .option('json', {
+    type: 'boolean',
+    description: 'Write events (resolved, started, progress, retry, completed, failed, skipped) to stdout as one JSON object per line; log messages go to stderr'
+  })
+  // yargs takes a lone "-" for a positional argument instead of the value of --list
+  .middleware((argv) => {
+    if (argv.list === '' && argv._.includes('-')) {
+      argv._ = argv._.filter(arg => arg !== '-');
+      argv.list = '-';
+      argv.l = '-';
+    }
+  }, true)
   .check((argv) => {
-    if (!argv.url && !argv.list) {
+    if (argv._[0] === 'serve') {
+      if (argv.url || argv.list || argv.listFormats) {
+        throw new Error('serve takes its videos from the HTTP API, not from --url, --list or --list-formats');
+      }
+      if (!Number.isInteger(argv.port) || argv.port < 0 || argv.port > 65535) {
+        throw new Error('Please provide a port number between 0 and 65535 for --port');
+      }
+    } else if (!argv.url && !argv.list) {
       throw new Error('Please provide either a single video URL with --url or a list of URLs with --list to proceed');
     }
     if (argv.url && argv.list) {
       throw new Error('Please provide either --url or --list, not both');
     }
-    if (argv.timeout && argv.timeout < 0) {
-      throw new Error('Please provide a non-negative number for --timeout');
+    if (argv.list && argv.list !== '-' && !fs.existsSync(argv.list)) {
+      throw new Error(`List file or directory not found: ${argv.list}`);
     }
-    return true;
-  })
-  .help()
-  .alias('help', 'h')
-  .argv;
-
-// Create axios instance with cookie jar
-const axiosInstance = axios.create({
-  withCredentials: true,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.5',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'DNT': '1',
-    'Connection': 'keep-alive',
-    'Upgrade-Insecure-Requests': '1',
-  }
-});
-
-const fetchLoomDownloadUrl = async (id) => {
-  try {
-    console.log(`Fetching video page for ID: ${id}`);
-    const videoPageUrl = `https://www.loom.com/share/${id}`;
-    console.log(`Making request to: ${videoPageUrl}`);
-    
-    const response = await axiosInstance.get(videoPageUrl, {
-      timeout: 30000
-    });
-    
-    console.log(`Successfully received video page (status: ${response.status})`);
-    
-    // Extract cookies for later use
-    const cookies = response.headers['set-cookie'];
-    if (cookies) {
-      console.log('Extracted cookies for authentication');
+    if (argv.url && !parseCollectionUrl(argv.url)) {
+      parseVideoUrl(argv.url);
     }
-    
-    // Save HTML for debugging
-    await fsPromises.writeFile(path.join(__dirname, 'debug-page.html'), response.data);
-    console.log('Saved page HTML to debug-page.html for analysis');
-    
-    // Look for video URL in the page HTML
-    const html = response.data;
-    
-    // Try to find the video URL in various possible locations
-    let videoUrl = null;
-    
-    // Method 1: Look for Apollo State data (most reliable)
-    const apolloStateRegex = /window\.__APOLLO_STATE__\s*=\s*({.*?});/s;
-    const apolloMatch = apolloStateRegex.exec(html);
-    if (apolloMatch && apolloMatch[1]) {
-      try {
-        const apolloState = JSON.parse(apolloMatch[1]);
-        console.log('Found Apollo State data');
-        
-        // Look for video data in Apollo state
-        for (const key in apolloState) {
-          if (key.startsWith('RegularUserVideo:') && apolloState[key]) {
-            const videoData = apolloState[key];
-            
-            // Try to find M3U8 URL (HLS stream)
-            if (videoData['nullableRawCdnUrl({"acceptableMimes":["M3U8"]})']) {
-              const m3u8Data = videoData['nullableRawCdnUrl({"acceptableMimes":["M3U8"]})'];
-              if (m3u8Data && m3u8Data.url) {
-                videoUrl = m3u8Data.url;
-                console.log('Found M3U8 URL in Apollo state');
-                break;
-              }
-            }
-            
-            // Try to find DASH URL as fallback
-            if (!videoUrl && videoData['nullableRawCdnUrl({"acceptableMimes":["DASH"]})']) {
-              const dashData = videoData['nullableRawCdnUrl({"acceptableMimes":["DASH"]})'];
-              if (dashData && dashData.url) {
-                videoUrl = dashData.url;
-                console.log('Found DASH URL in Apollo state');
-                break;
-              }
-            }
-          }
-        }
-      } catch (parseError) {
-        console.log('Failed to parse Apollo state:', parseError.message);
-      }
+    if (argv.watch && (!argv.list || argv.list === '-')) {
+      throw new Error('--watch needs a list file or directory given with --list');
     }
-    
-    // Method 2: Look for direct MP4 URLs
-    if (!videoUrl) {
-      const mp4Regex = /https:\/\/[^"'\s]+\.mp4[^"'\s]*/g;
-      const mp4Matches = html.match(mp4Regex);
-      if (mp4Matches && mp4Matches.length > 0) {
-        // Find the highest quality video URL (usually the longest one)
-        videoUrl = mp4Matches.reduce((longest, current) => 
-          current.length > longest.length ? current : longest
-        );
-        console.log('Found MP4 URL');
-      }
+    if (argv.listFormats && !argv.url) {
+      throw new Error('--list-formats needs a single video given with --url');
     }
-    
-    // Method 3: Look for video URLs in script tags
-    if (!videoUrl) {
-      const scriptRegex = /"videoUrl":\s*"([^"]+)"/g;
-      const scriptMatch = scriptRegex.exec(html);
-      if (scriptMatch && scriptMatch[1]) {
-        videoUrl = scriptMatch[1].replace(/\\u002F/g, '/');
-      }
+    if (argv.quiet && (argv.verbose || argv.debug)) {
+      throw new Error('Please provide either --quiet or --verbose/--debug, not both');
     }
-    
-    // Method 4: Look for download URLs
-    if (!videoUrl) {
-      const downloadRegex = /"downloadUrl":\s*"([^"]+)"/g;
-      const downloadMatch = downloadRegex.exec(html);
-      if (downloadMatch && downloadMatch[1]) {
-        videoUrl = downloadMatch[1].replace(/\\u002F/g, '/');
-      }
+    parseQuality(argv.quality);
+    parseStrategies(argv.strategy);
+    if (argv.proxy) {
+      parseProxyUrl(argv.proxy);
     }
-    
-    // Method 5: Look for any video-related URLs
-    if (!videoUrl) {
-      const videoRegex = /"[^"]*video[^"]*":\s*"(https:\/\/[^"]+)"/gi;
-      const videoMatch = videoRegex.exec(html);
-      if (videoMatch && videoMatch[1]) {
-        videoUrl = videoMatch[1].replace(/\\u002F/g, '/');
-      }
+    if (argv.cookies && !fs.existsSync(argv.cookies)) {
+      throw new Error(`Cookies file not found: ${argv.cookies}`);
     }
-    
-    console.log(`Extracted video URL: ${videoUrl}`);
-    
-    if (!videoUrl) {
-      // Try the old API as fallback
-      console.log('No video URL found in page, trying old API...');
-      try {
-        const { data } = await axios.post(`https://www.loom.com/api/campaigns/sessions/${id}/transcoded-url`, {}, {
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          }
-        });
-        if (data && data.url) {
-          videoUrl = data.url;
-          console.log(`Got video URL from old API: ${videoUrl}`);
-        }
-      } catch (apiError) {
-        console.log(`Old API also failed: ${apiError.message}`);
-      }
-    }
-    
-    if (!videoUrl) {
-      throw new Error('No video download URL found. The video might be private or the download might be disabled.');
-    }
-    
-    return videoUrl;
-  } catch (error) {
-    console.error(`Error fetching download URL: ${error.message}`);
-    if (error.response) {
-      console.error(`Response status: ${error.response.status}`);
-    }
-    if (error.code === 'ECONNREFUSED') {
-      console.error('Connection refused - this might be a proxy or DNS issue');
-      console.error('Try checking your network settings or proxy configuration');
-    }
-    throw error;
-  }
-};
-
-const backoff = (retries, fn, delay = 1000) => fn().catch(err => retries > 1 && delay <= 32000 ? new Promise(resolve => setTimeout(resolve, delay)).then(() => backoff(retries - 1, fn, delay * 2)) : Promise.reject(err));
-
-const downloadLoomVideo = async (url, outputPath) => {
-  try {
-    console.log(`Starting download from: ${url}`);
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    if (argv.delay < 0 || argv.jitter < 0) {
+      throw new Error('Please provide non-negative numbers for --delay and --jitter');
     }
-
-    // Method 1: Try yt-dlp first (most reliable for protected content)
-    const ytDlpAvailable = await checkYtDlpAvailability();
-    if (ytDlpAvailable) {
-      try {
-        console.log('Trying yt-dlp method...');
-        await downloadWithYtDlp(url, outputPath);
-        return; // Success, exit early
-      } catch (ytDlpError) {
-        console.log(`yt-dlp failed: ${ytDlpError.message}`);
-        console.log('Falling back to ffmpeg...');
-      }
+    if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+      throw new Error('Please provide a positive whole number for --concurrency');
     }
-
-    // Method 2: Try ffmpeg with enhanced headers
-    if (url.includes('.m3u8')) {
-      console.log('Detected M3U8 stream, using ffmpeg for download...');
-      
-      const { spawn } = await import('child_process');
-      
-      return new Promise((resolve, reject) => {
-        const ffmpeg = spawn('ffmpeg', [
-          '-user_agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          '-headers', 'Referer: https://www.loom.com/',
-          '-headers', 'Accept: */*',
-          '-headers', 'Accept-Language: en-US,en;q=0.9',
-          '-headers', 'Origin: https://www.loom.com',
-          '-headers', 'Sec-Fetch-Dest: empty',
-          '-headers', 'Sec-Fetch-Mode: cors',
-          '-headers', 'Sec-Fetch-Site: cross-site',
-          '-i', url,
-          '-c', 'copy',
-          '-bsf:a', 'aac_adtstoasc',
-          '-y', // Overwrite output file
-          outputPath
-        ]);
-
-        ffmpeg.stdout.on('data', (data) => {
-          console.log(`ffmpeg stdout: ${data}`);
-        });
-
-        ffmpeg.stderr.on('data', (data) => {
-          console.log(`ffmpeg progress: ${data}`);
-        });
-
-        ffmpeg.on('close', (code) => {
-          if (code === 0) {
-            console.log(`Download completed successfully`);
-            resolve();
-          } else {
-            reject(new Error(`ffmpeg exited with code ${code}`));
-          }
-        });
-
-        ffmpeg.on('error', (err) => {
-          console.error(`ffmpeg error: ${err.message}`);
-          reject(err);
-        });
-      });
-    } else {
-      // Method 3: Handle regular MP4 downloads with enhanced headers
-      const file = fs.createWriteStream(outputPath);
-      await new Promise((resolve, reject) => {
-        const options = {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Referer': 'https://www.loom.com/',
-            'Accept': '*/*',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Origin': 'https://www.loom.com',
-            'Sec-Fetch-Dest': 'empty',
-            'Sec-Fetch-Mode': 'cors',
-            'Sec-Fetch-Site': 'cross-site'
-          }
-        };
-
-        https.get(url, options, function (response) {
-          console.log(`Download response status: ${response.statusCode}`);
-          if (response.statusCode === 403) {
-            reject(new Error('Received 403 Forbidden'));
-          } else if (response.statusCode === 302 || response.statusCode === 301) {
-            console.log(`Redirect to: ${response.headers.location}`);
-            reject(new Error(`Received redirect ${response.statusCode} to ${response.headers.location}`));
-          } else if (response.statusCode !== 200) {
-            reject(new Error(`Received status code ${response.statusCode}`));
-          } else {
-            response.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              console.log(`Download completed successfully`);
-              resolve();
-            });
-          }
-        }).on('error', (err) => {
-          console.error(`HTTPS request error: ${err.message}`);
-          fs.unlink(outputPath, () => { }); // Delete partial file
-          reject(err);
-        });
-      });
+    if (argv.rateLimit !== undefined && !(argv.rateLimit > 0)) {
+      throw new Error('Please provide a positive number of requests per minute for --rate-limit');
     }
-  } catch (error) {
-    console.error(`Error during download process: ${error.message}`);
-    throw error; // Rethrow to handle in backoff
-  }
-};
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
 
-const appendToLogFile = async (id) => {
-  await fsPromises.appendFile(path.join(__dirname, 'downloaded.log'), `${id}\n`);
-};
+const logLevel = argv.quiet ? 'warn' : (argv.verbose || argv.debug ? 'debug' : 'info');
+
+const downloader = createDownloader({
+  out: argv.out,
+  prefix: argv.prefix,
+  concurrency: argv.concurrency,
+  delay: argv.delay,
+  jitter: argv.jitter,
+  rateLimit: argv.rateLimit,
+  outputTemplate: argv.outputTemplate,
+  writeInfoJson: argv.writeInfoJson,
+  subtitles: argv.subtitles,
+  transcriptText: argv.transcriptText,
+  cookies: argv.cookies,
+  password: argv.password,
+  proxy: argv.proxy,
+  quality: argv.quality,
+  audioOnly: argv.audioOnly,
+  audioFormat: argv.audioFormat,
+  merge: argv.merge,
+  keepIntermediates: argv.keepIntermediates,
+  strategy: argv.strategy,
+  verify: argv.verify,
+  retryFailed: argv.retryFailed,
+  force: argv.force,
+  logLevel,
+  debugDir: argv.debug ? argv.debugDir : undefined
+});
 
-const readDownloadedLog = async () => {
-  try {
-    const data = await fsPromises.readFile(path.join(__dirname, 'downloaded.log'), 'utf8');
-    return new Set(data.split(/\r?\n/));
-  } catch (error) {
-    return new Set(); // If file doesn't exist, return an empty set
+// With --json, stdout only carries the NDJSON events
+const writeJson = (value) => process.stdout.write(`${JSON.stringify(value)}\n`);
+
+// Progress bars on a terminal, periodic progress lines otherwise
+const display = argv.json || argv.quiet ? null : createProgressDisplay(downloader);
+
+// The downloader only emits messages at or above --quiet/--verbose's level
+downloader.on('log', ({ level, message }) => {
+  const toStderr = argv.json || level === 'error' || level === 'warn';
+  if (display) {
+    display.print(message, toStderr);
+  } else if (toStderr) {
+    console.error(message);
+  } else {
+    console.log(message);
   }
-};
+});
 
-const extractId = (url) => {
-  url = url.split('?')[0];
-  return url.split('/').pop();
-};
+if (argv.json) {
+  JSON_EVENTS.forEach(event => downloader.on(event, payload => writeJson(toJsonEvent(event, payload))));
+}
 
-const delay = (duration) => {
-  return new Promise(resolve => setTimeout(resolve, duration));
+const printAlternatives = () => {
+  console.log('\n=== Alternative Download Methods ===');
+  console.log('1. Try downloading directly from the browser:');
+  console.log(`   - Open: ${argv.url}`);
+  console.log('   - Click the three dots (...) menu');
+  console.log('   - Select "Download" if available');
+  console.log('');
+  console.log('2. Use screen recording:');
+  console.log('   - Install OBS Studio: https://obsproject.com/');
+  console.log('   - Record the video while playing');
+  console.log('');
+  console.log('3. Try browser extensions:');
+  console.log('   - Video DownloadHelper (Firefox/Chrome)');
+  console.log('   - Flash Video Downloader (Chrome)');
 };
 
-// Test network connectivity
-const testNetworkConnectivity = async () => {
-  try {
-    console.log('Testing network connectivity...');
-    const response = await axios.get('https://www.loom.com', {
-      timeout: 30000, // Increased to 30 seconds
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-    console.log(`✓ Successfully connected to Loom (status: ${response.status})`);
-    return true;
-  } catch (error) {
-    console.error(`✗ Network connectivity test failed: ${error.message}`);
-    console.log('⚠️  Continuing anyway - network test might be too strict');
-    return true; // Continue anyway, the test might be too strict
+const printFormats = ({ id, url, formats }) => {
+  console.log(`\nFormats of ${id} (${url}):`);
+  console.log('  ID                            TYPE   RESOLUTION  BITRATE      CODECS');
+  for (const format of formats) {
+    const resolution = format.width && format.height ? `${format.width}x${format.height}` : (format.language || '-');
+    const bitrate = format.bandwidth ? `${Math.round(format.bandwidth / 1000)} kbps` : '-';
+    console.log(`${format.selected ? '*' : ' '} ${format.id.padEnd(30)}${format.type.padEnd(7)}${resolution.padEnd(12)}${bitrate.padEnd(13)}${format.codecs || '-'}`);
   }
+  console.log(`\n* selected by --quality ${argv.quality}`);
 };
 
-// Check if ffmpeg is available
-const checkFfmpegAvailability = async () => {
-  try {
-    const { spawn } = await import('child_process');
-    return new Promise((resolve) => {
-      const ffmpeg = spawn('ffmpeg', ['-version']);
-      ffmpeg.on('close', (code) => {
-        if (code === 0) {
-          console.log('✓ ffmpeg is available');
-          resolve(true);
-        } else {
-          console.log('✗ ffmpeg is not available or not working properly');
-          resolve(false);
-        }
-      });
-      ffmpeg.on('error', () => {
-        console.log('✗ ffmpeg is not installed');
-        console.log('Please install ffmpeg to download M3U8 streams:');
-        console.log('macOS: brew install ffmpeg');
-        console.log('Ubuntu: sudo apt install ffmpeg');
-        console.log('Windows: Download from https://ffmpeg.org/download.html');
-        resolve(false);
-      });
-    });
-  } catch (error) {
-    console.log('✗ Error checking ffmpeg availability:', error.message);
-    return false;
-  }
+// Download what --list gets and keeps getting until SIGINT or SIGTERM
+const watch = async (ctx) => {
+  const watcher = await watchList(argv.list, downloader, { format: argv.listFormat, log: ctx.log });
+  ctx.log.info(`👀 Watching ${argv.list} for new URLs (Ctrl+C to stop)...`);
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  ctx.log.info('Stopping, waiting for the running downloads to finish (Ctrl+C again to abort)...');
+  process.once('SIGINT', () => process.exit(130));
+  await watcher.close();
 };
 
-// Check if yt-dlp is available
-const checkYtDlpAvailability = async () => {
-  try {
-    const { spawn } = await import('child_process');
-    return new Promise((resolve) => {
-      const ytdlp = spawn('yt-dlp', ['--version']);
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          console.log('✓ yt-dlp is available');
-          resolve(true);
-        } else {
-          console.log('✗ yt-dlp is not available or not working properly');
-          resolve(false);
-        }
-      });
-      ytdlp.on('error', () => {
-        console.log('✗ yt-dlp is not installed');
-        console.log('Install yt-dlp for better video downloading:');
-        console.log('pip install yt-dlp');
-        console.log('or: brew install yt-dlp');
-        resolve(false);
-      });
-    });
-  } catch (error) {
-    console.log('✗ Error checking yt-dlp availability:', error.message);
-    return false;
-  }
-};
-
-// Helper function to control concurrency
-async function asyncPool(poolLimit, array, iteratorFn) {
-  const ret = [];
-  const executing = [];
-  for (const item of array) {
-    const p = Promise.resolve().then(() => iteratorFn(item, array));
-    ret.push(p);
-
-    if (poolLimit <= array.length) {
-      const e = p.then(() => executing.splice(executing.indexOf(e), 1));
-      executing.push(e);
-      if (executing.length >= poolLimit) {
-        await Promise.race(executing);
-      }
-    }
-  }
-  return Promise.all(ret);
-}
-
-// Modified downloadFromList to use asyncPool for controlled concurrency
-const downloadFromList = async () => {
-  const downloadedSet = await readDownloadedLog();
-  const filePath = path.resolve(argv.list);
-  const fileContent = await fsPromises.readFile(filePath, 'utf8');
-  const urls = fileContent.split(/\r?\n/).filter(url => url.trim() && !downloadedSet.has(url));
-  const outputDirectory = argv.out ? path.resolve(argv.out) : path.join(__dirname, 'Downloads');
-
-  // Define the download task for each URL, including a delay after each download
-  const downloadTask = async (url) => {
-    const id = extractId(url);
+const runDownloads = async (ctx) => {
+  if (argv.watch) {
+    await watch(ctx);
+  } else if (argv.list) {
+    let list;
     try {
-      const downloadUrl = await fetchLoomDownloadUrl(id);
-      // Modify filename to include the video ID at the end
-      let filename = argv.prefix ? `${argv.prefix}-${urls.indexOf(url) + 1}-${id}.mp4` : `${id}.mp4`;
-      let outputPath = path.join(outputDirectory, filename);
-      console.log(`Downloading video ${id} and saving to ${outputPath}`);
-      await backoff(5, () => downloadLoomVideo(downloadUrl, outputPath));
-      await appendToLogFile(url);
-      console.log(`Waiting for 5 seconds before the next download...`);
-      await delay(5000); // 5-second delay
+      list = await readListSource(argv.list, argv.listFormat);
     } catch (error) {
-      console.error(`Failed to download video ${id}: ${error.message}`);
+      console.error(`Could not read the list ${argv.list}: ${error.message}`);
+      process.exitCode = 1;
+      return;
     }
-  };
-
-  // Use asyncPool to control the concurrency of download tasks
-  const concurrencyLimit = 5; // Adjust the concurrency limit as needed
-  await asyncPool(concurrencyLimit, urls, downloadTask);
-};
-
-const downloadSingleFile = async () => {
-  const id = extractId(argv.url);
-  
-  // Step 1: Check available formats first
-  const ytDlpAvailable = await checkYtDlpAvailability();
-  if (ytDlpAvailable) {
+    const results = await downloader.downloadMany(list);
+    if (results.some(result => result.status === 'failed')) {
+      process.exitCode = 1;
+    }
+  } else if (parseCollectionUrl(argv.url)) {
+    // Folders and spaces download like a list of their videos
+    const results = await downloader.downloadMany([argv.url]);
+    if (results.some(result => result.status === 'failed')) {
+      process.exitCode = 1;
+    }
+  } else if (argv.url) {
     try {
-      console.log('🔍 Step 1: Analyzing available formats...');
-      const formatInfo = await listAvailableFormats(argv.url);
-      
-      if (!formatInfo.hasAudio) {
-        console.log('⚠️  WARNING: No audio formats detected in available streams!');
-        console.log('This might explain why downloaded videos have no sound.');
+      await downloader.download(argv.url);
+    } catch (error) {
+      // Other tools cannot help with a missing or wrong password
+      if (!argv.json && !argv.quiet && error.code !== 'PASSWORD_REQUIRED' && error.code !== 'WRONG_PASSWORD') {
+        printAlternatives();
       }
-      
-      console.log('🔄 Step 2: Attempting download with separate streams method...');
-      const filename = argv.out || `${id}`;
-      await downloadWithSeparateStreams(argv.url, filename);
-      
-      console.log('✅ Separate streams download completed successfully!');
-      return;
-      
-    } catch (separateStreamsError) {
-      console.log(`Separate streams download failed: ${separateStreamsError.message}`);
-      console.log('Falling back to manual URL extraction...');
+      process.exitCode = 1;
     }
   }
-  
-  // Method 2: Extract video URL manually and download
-  try {
-    const url = await fetchLoomDownloadUrl(id);
-    const filename = argv.out || `${id}.mp4`;
-    console.log(`Downloading video ${id} and saving to ${filename}`);
-    await downloadLoomVideo(url, filename);
-  } catch (error) {
-    console.error(`Failed to download video ${id}: ${error.message}`);
-    
-    // Method 3: Suggest alternative approaches
-    console.log('\n=== Alternative Download Methods ===');
-    console.log('1. Try downloading directly from the browser:');
-    console.log(`   - Open: ${argv.url}`);
-    console.log('   - Click the three dots (...) menu');
-    console.log('   - Select "Download" if available');
-    console.log('');
-    console.log('2. Use screen recording:');
-    console.log('   - Install OBS Studio: https://obsproject.com/');
-    console.log('   - Record the video while playing');
-    console.log('');
-    console.log('3. Try browser extensions:');
-    console.log('   - Video DownloadHelper (Firefox/Chrome)');
-    console.log('   - Flash Video Downloader (Chrome)');
-    
-    throw error;
-  }
-};
-
-// Download with yt-dlp as alternative
-const downloadWithYtDlp = async (videoUrl, outputPath) => {
-  try {
-    console.log('Attempting download with yt-dlp...');
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'best[ext=mp4]/best', // Ensure we get the best quality with audio
-        '--merge-output-format', 'mp4', // Merge audio and video into MP4
-        '--verbose', // More detailed output for debugging
-        '-o', outputPath,
-        videoUrl
-      ]);
-
-      ytdlp.stdout.on('data', (data) => {
-        console.log(`yt-dlp: ${data}`);
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        console.log(`yt-dlp: ${data}`);
-      });
-
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          console.log(`Download completed successfully with yt-dlp`);
-          resolve();
-        } else {
-          reject(new Error(`yt-dlp exited with code ${code}`));
-        }
-      });
-
-      ytdlp.on('error', (err) => {
-        console.error(`yt-dlp error: ${err.message}`);
-        reject(err);
-      });
-    });
-  } catch (error) {
-    console.error(`Error during yt-dlp download: ${error.message}`);
-    throw error;
-  }
-};
-
-// Alternative download method with explicit audio/video handling
-const downloadWithYtDlpAdvanced = async (videoUrl, outputPath) => {
-  try {
-    console.log('Attempting advanced download with yt-dlp (separate audio/video handling)...');
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'bestvideo+bestaudio/best', // Try to get separate video and audio streams
-        '--merge-output-format', 'mp4',
-        '--no-check-certificate', // Skip SSL certificate verification
-        '--no-playlist', // Don't download playlist
-        '--write-info-json', // Write metadata for debugging
-        '--verbose', // Detailed logging
-        '--force-overwrites',
-        '-o', outputPath,
-        videoUrl
-      ]);
-
-      ytdlp.stdout.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp advanced: ${output}`);
-        
-        // Look for audio stream information in the output
-        if (output.includes('audio')) {
-          console.log('🔊 Audio stream detected in yt-dlp output!');
-        }
-        if (output.includes('video')) {
-          console.log('📹 Video stream detected in yt-dlp output!');
-        }
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp advanced: ${output}`);
-        
-        // Look for format information
-        if (output.includes('format')) {
-          console.log('📋 Format information detected');
-        }
-      });
-
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          console.log(`Advanced download completed successfully with yt-dlp`);
-          resolve();
-        } else {
-          reject(new Error(`yt-dlp advanced exited with code ${code}`));
-        }
-      });
-
-      ytdlp.on('error', (err) => {
-        console.error(`yt-dlp advanced error: ${err.message}`);
-        reject(err);
-      });
-    });
-  } catch (error) {
-    console.error(`Error during yt-dlp advanced download: ${error.message}`);
-    throw error;
-  }
-};
-
-// Function to list available formats for debugging
-const listAvailableFormats = async (videoUrl) => {
-  try {
-    console.log('🔍 Checking available formats and audio streams...');
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--list-formats',
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--verbose',
-        videoUrl
-      ]);
-
-      let output = '';
-      let hasAudioFormats = false;
-      let hasVideoFormats = false;
-      
-      ytdlp.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        output += chunk;
-        console.log(`Available formats: ${chunk}`);
-        
-        // Check for audio and video formats
-        if (chunk.toLowerCase().includes('audio') || chunk.includes('m4a') || chunk.includes('aac')) {
-          hasAudioFormats = true;
-          console.log('🔊 AUDIO FORMAT DETECTED!');
-        }
-        if (chunk.toLowerCase().includes('video') || chunk.includes('mp4') || chunk.includes('m3u8')) {
-          hasVideoFormats = true;
-          console.log('📹 VIDEO FORMAT DETECTED!');
-        }
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        const chunk = data.toString();
-        console.log(`Format check: ${chunk}`);
-        
-        if (chunk.includes('Available formats')) {
-          console.log('📋 Format listing started');
-        }
-      });
-
-      ytdlp.on('close', (code) => {
-        console.log('=== FORMAT ANALYSIS SUMMARY ===');
-        console.log(`Audio formats available: ${hasAudioFormats ? '✅ YES' : '❌ NO'}`);
-        console.log(`Video formats available: ${hasVideoFormats ? '✅ YES' : '❌ NO'}`);
-        console.log('===============================');
-        
-        if (code === 0) {
-          console.log('Format check completed');
-          resolve({
-            output,
-            hasAudio: hasAudioFormats,
-            hasVideo: hasVideoFormats
-          });
-        } else {
-          reject(new Error(`Format check failed with code ${code}`));
-        }
-      });
-
-      ytdlp.on('error', (err) => {
-        console.error(`Format check error: ${err.message}`);
-        reject(err);
-      });
-    });
-  } catch (error) {
-    console.error(`Error checking formats: ${error.message}`);
-    throw error;
-  }
 };
 
-// Function to analyze video file for audio streams
-const analyzeVideoFile = async (filePath) => {
+// Run the queued jobs and answer the HTTP API until SIGINT or SIGTERM; jobs the shutdown
+// interrupts run again on the next start
+const serve = async (ctx) => {
+  const { log } = ctx;
+  const outputDirectory = argv.out ? path.resolve(argv.out) : path.join(PACKAGE_ROOT, 'Downloads');
+  const queuePath = argv.queueFile ? path.resolve(argv.queueFile) : path.join(outputDirectory, QUEUE_FILE);
+  const queue = await openJobQueue(queuePath, downloader, outputDirectory);
+  const server = createApiServer(queue, { token: argv.token || process.env.LOOM_DL_TOKEN, log });
   try {
-    console.log(`Analyzing video file: ${filePath}`);
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ffprobe = spawn('ffprobe', [
-        '-v', 'quiet',
-        '-print_format', 'json',
-        '-show_streams',
-        '-show_format',
-        filePath
-      ]);
-
-      let output = '';
-      ffprobe.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      ffprobe.stderr.on('data', (data) => {
-        console.log(`ffprobe stderr: ${data}`);
-      });
-
-      ffprobe.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const analysis = JSON.parse(output);
-            console.log('=== VIDEO ANALYSIS ===');
-            console.log(`File: ${filePath}`);
-            console.log(`Duration: ${analysis.format.duration} seconds`);
-            console.log(`Size: ${(analysis.format.size / 1024 / 1024).toFixed(2)} MB`);
-            
-            const videoStreams = analysis.streams.filter(s => s.codec_type === 'video');
-            const audioStreams = analysis.streams.filter(s => s.codec_type === 'audio');
-            
-            console.log(`Video streams found: ${videoStreams.length}`);
-            videoStreams.forEach((stream, i) => {
-              console.log(`  Video ${i}: ${stream.codec_name} ${stream.width}x${stream.height} @ ${stream.r_frame_rate} fps`);
-            });
-            
-            console.log(`Audio streams found: ${audioStreams.length}`);
-            if (audioStreams.length === 0) {
-              console.log('❌ NO AUDIO STREAMS FOUND!');
-            } else {
-              audioStreams.forEach((stream, i) => {
-                console.log(`  ✅ Audio ${i}: ${stream.codec_name} ${stream.channels} channels @ ${stream.sample_rate}Hz`);
-              });
-            }
-            console.log('======================');
-            
-            resolve({
-              hasAudio: audioStreams.length > 0,
-              audioStreams: audioStreams.length,
-              videoStreams: videoStreams.length,
-              duration: analysis.format.duration,
-              size: analysis.format.size
-            });
-          } catch (parseError) {
-            reject(new Error(`Failed to parse ffprobe output: ${parseError.message}`));
-          }
-        } else {
-          reject(new Error(`ffprobe failed with code ${code}`));
-        }
-      });
-
-      ffprobe.on('error', (err) => {
-        reject(new Error(`ffprobe error: ${err.message}`));
-      });
-    });
-  } catch (error) {
-    console.error(`Error analyzing video: ${error.message}`);
-    throw error;
-  }
-};
-
-// Download with explicit audio extraction and merging
-const downloadWithAudioExtraction = async (videoUrl, outputPath) => {
-  try {
-    console.log('🎵 Attempting download with explicit audio extraction...');
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'bestvideo+bestaudio/best', // Explicitly try to get separate streams
-        '--merge-output-format', 'mp4',
-        '--postprocessor-args', 'ffmpeg:-c:v copy -c:a aac', // Ensure audio is properly encoded
-        '--verbose',
-        '--force-overwrites',
-        '-o', outputPath,
-        videoUrl
-      ]);
-
-      ytdlp.stdout.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp audio extraction: ${output}`);
-        
-        if (output.includes('Merging formats')) {
-          console.log('🔄 MERGING AUDIO AND VIDEO STREAMS!');
-        }
-        if (output.includes('audio')) {
-          console.log('🔊 Audio processing detected!');
-        }
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp audio extraction: ${output}`);
-      });
-
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          console.log(`Audio extraction download completed successfully`);
-          resolve();
-        } else {
-          reject(new Error(`yt-dlp audio extraction exited with code ${code}`));
-        }
-      });
-
-      ytdlp.on('error', (err) => {
-        console.error(`yt-dlp audio extraction error: ${err.message}`);
-        reject(err);
-      });
-    });
+    await new Promise((resolve, reject) => server.once('error', reject).listen(argv.port, argv.host, resolve));
   } catch (error) {
-    console.error(`Error during audio extraction download: ${error.message}`);
-    throw error;
-  }
-};
-
-// Download with explicit audio and video stream combination for Loom
-const downloadWithExplicitAudioVideo = async (videoUrl, outputPath) => {
-  try {
-    console.log('🎬 Attempting download with explicit audio+video combination...');
-    const { spawn } = await import('child_process');
-    
-    return new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'hls-raw-audio-audio+hls-raw-5500/hls-raw-audio-audio+hls-raw-3200/hls-raw-audio-audio+hls-raw-1500/best', // Explicitly combine audio with video
-        '--merge-output-format', 'mp4',
-        '--verbose',
-        '--force-overwrites',
-        '-o', outputPath,
-        videoUrl
-      ]);
-
-      ytdlp.stdout.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp explicit A+V: ${output}`);
-        
-        if (output.includes('Merging formats')) {
-          console.log('🔄 MERGING AUDIO AND VIDEO STREAMS!');
-        }
-        if (output.includes('audio')) {
-          console.log('🔊 Audio processing detected!');
-        }
-        if (output.includes('video')) {
-          console.log('📹 Video processing detected!');
-        }
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        const output = data.toString();
-        console.log(`yt-dlp explicit A+V: ${output}`);
-      });
-
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          console.log(`Explicit audio+video download completed successfully`);
-          resolve();
-        } else {
-          reject(new Error(`yt-dlp explicit A+V exited with code ${code}`));
-        }
-      });
-
-      ytdlp.on('error', (err) => {
-        console.error(`yt-dlp explicit A+V error: ${err.message}`);
-        reject(err);
-      });
-    });
-  } catch (error) {
-    console.error(`Error during explicit A+V download: ${error.message}`);
-    throw error;
+    console.error(`Could not start the API on ${argv.host}:${argv.port}: ${error.message}`);
+    process.exitCode = 1;
+    return;
   }
+  log.info(`🛰️  API listening on http://${argv.host}:${server.address().port}, downloading into ${outputDirectory}`);
+  log.info(`📋 Job queue: ${queuePath}`);
+  queue.start();
+
+  const shutdown = async () => {
+    log.info('Shutting down, unfinished jobs run again on the next start...');
+    server.close();
+    await queue.flush();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 };
 
-// Download video and audio separately (without combining)
-const downloadWithSeparateStreams = async (videoUrl, outputPath) => {
-  try {
-    console.log('🎬 Downloading video and audio streams separately...');
-    const { spawn } = await import('child_process');
-    const path = await import('path');
-    
-    const outputDir = path.dirname(outputPath);
-    const baseName = path.basename(outputPath, path.extname(outputPath));
-    const videoOutput = path.join(outputDir, `${baseName}_video.mp4`);
-    const audioOutput = path.join(outputDir, `${baseName}_audio.mp4`);
-    
-    // Download video stream
-    console.log('📹 Downloading video stream...');
-    await new Promise((resolve, reject) => {
-      const ytdlpVideo = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'hls-raw-5500/hls-raw-3200/hls-raw-1500/best[height<=2160]',
-        '--force-overwrites',
-        '-o', videoOutput,
-        videoUrl
-      ]);
-
-      ytdlpVideo.stdout.on('data', (data) => {
-        console.log(`📹 Video: ${data}`);
-      });
-
-      ytdlpVideo.stderr.on('data', (data) => {
-        console.log(`📹 Video: ${data}`);
-      });
-
-      ytdlpVideo.on('close', (code) => {
-        if (code === 0) {
-          console.log(`✅ Video stream saved to: ${videoOutput}`);
-          resolve();
-        } else {
-          reject(new Error(`Video download failed with code ${code}`));
-        }
-      });
-
-      ytdlpVideo.on('error', (err) => {
-        reject(err);
-      });
-    });
-    
-    // Download audio stream
-    console.log('🔊 Downloading audio stream...');
-    await new Promise((resolve, reject) => {
-      const ytdlpAudio = spawn('yt-dlp', [
-        '--user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', 'https://www.loom.com/',
-        '--add-header', 'Accept:*/*',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--format', 'hls-raw-audio-audio',
-        '--force-overwrites',
-        '-o', audioOutput,
-        videoUrl
-      ]);
-
-      ytdlpAudio.stdout.on('data', (data) => {
-        console.log(`🔊 Audio: ${data}`);
-      });
-
-      ytdlpAudio.stderr.on('data', (data) => {
-        console.log(`🔊 Audio: ${data}`);
-      });
-
-      ytdlpAudio.on('close', (code) => {
-        if (code === 0) {
-          console.log(`✅ Audio stream saved to: ${audioOutput}`);
-          resolve();
-        } else {
-          reject(new Error(`Audio download failed with code ${code}`));
-        }
-      });
-
-      ytdlpAudio.on('error', (err) => {
-        reject(err);
-      });
-    });
-    
-    console.log('🎉 Separate streams download completed successfully!');
-    console.log(`📹 Video file: ${videoOutput}`);
-    console.log(`🔊 Audio file: ${audioOutput}`);
-    
-    // Combine video and audio automatically
-    console.log('🔗 Combining video and audio streams...');
-    const combinedOutput = path.join(outputDir, `${baseName}_combined.mp4`);
-    
-    await new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', [
-        '-i', videoOutput,
-        '-i', audioOutput,
-        '-filter_complex', 
-        '[0:v]setpts=PTS-STARTPTS[v];[1:a]asetpts=PTS-STARTPTS,aresample=async=1:min_hard_comp=0.100000:first_pts=0[a]',
-        '-map', '[v]',         // Use filtered video with reset timestamps
-        '-map', '[a]',         // Use filtered audio with reset timestamps and resampling
-        '-c:v', 'libx264',     // Re-encode video for perfect sync
-        '-preset', 'fast',     // Fast encoding preset
-        '-crf', '18',          // High quality
-        '-c:a', 'aac',         // Re-encode audio
-        '-b:a', '128k',        // Audio bitrate
-        '-ar', '48000',        // Audio sample rate
-        '-ac', '1',            // Mono audio
-        '-avoid_negative_ts', 'make_zero',
-        '-fflags', '+genpts+igndts',  // Generate PTS and ignore DTS
-        '-max_muxing_queue_size', '1024',  // Increase muxing queue
-        '-y',                  // Overwrite output file
-        combinedOutput
-      ]);
-
-      ffmpeg.stdout.on('data', (data) => {
-        console.log(`🔗 FFmpeg: ${data}`);
-      });
-
-      ffmpeg.stderr.on('data', (data) => {
-        console.log(`🔗 FFmpeg: ${data}`);
-      });
-
-      ffmpeg.on('close', (code) => {
-        if (code === 0) {
-          console.log(`✅ Successfully combined video and audio!`);
-          console.log(`🎬 Combined file: ${combinedOutput}`);
-          
-          // Keep separate files for user reference
-          console.log('📁 Separate files preserved:');
-          console.log(`📹 Video file: ${videoOutput}`);
-          console.log(`🔊 Audio file: ${audioOutput}`);
-          console.log(`🎬 Combined file: ${combinedOutput}`);
-          
-          resolve();
-        } else {
-          reject(new Error(`FFmpeg failed with code ${code}`));
-        }
-      });
+const main = async () => {
+  const ctx = createContext({ events: downloader, logLevel, proxy: argv.proxy });
 
-      ffmpeg.on('error', (err) => {
-        reject(new Error(`FFmpeg error: ${err.message}`));
-      });
-    });
-    
-    console.log('🎉 Video download and combination completed successfully!');
-    
-  } catch (error) {
-    console.error(`Error during separate streams download: ${error.message}`);
-    throw error;
+  const proxy = proxyFor(LOOM_ORIGIN, ctx.options);
+  if (proxy) {
+    ctx.log.info(`🌐 Using proxy ${redactProxy(proxy)}`);
   }
-};
 
-const main = async () => {
   // Test network connectivity first
-  const isConnected = await testNetworkConnectivity();
+  const isConnected = await testNetworkConnectivity(ctx);
   if (!isConnected) {
     console.error('Network connectivity test failed. Please resolve network issues before proceeding.');
     process.exit(1);
   }
 
+  if (argv.listFormats) {
+    try {
+      const formats = await downloader.listFormats(argv.url);
+      if (argv.json) {
+        writeJson(formats);
+      } else {
+        printFormats(formats);
+      }
+    } catch (error) {
+      console.error(`Could not list formats: ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
   // Check available download tools
-  const ffmpegAvailable = await checkFfmpegAvailability();
-  const ytDlpAvailable = await checkYtDlpAvailability();
+  const ffmpegAvailable = await checkFfmpegAvailability(ctx);
+  const ytDlpAvailable = await checkYtDlpAvailability(ctx);
   
   if (!ffmpegAvailable && !ytDlpAvailable) {
-    console.error('Neither ffmpeg nor yt-dlp is available. Please install at least one:');
-    console.error('ffmpeg: brew install ffmpeg');
-    console.error('yt-dlp: pip install yt-dlp or brew install yt-dlp');
-    process.exit(1);
+    console.warn('Neither ffmpeg nor yt-dlp is available, using the built-in downloader only.');
+    console.warn('ffmpeg: brew install ffmpeg');
+    console.warn('yt-dlp: pip install yt-dlp or brew install yt-dlp');
   }
 
   if (!ytDlpAvailable) {
@@ -1089,10 +442,17 @@ const main = async () => {
     console.warn('Install with: pip install yt-dlp or brew install yt-dlp');
   }
 
-  if (argv.list) {
-    await downloadFromList();
-  } else if (argv.url) {
-    await downloadSingleFile();
+  if (argv._[0] === 'serve') {
+    await serve(ctx);
+    return;
+  }
+
+  try {
+    await runDownloads(ctx);
+  } finally {
+    if (display) {
+      display.finish();
+    }
   }
 };
 